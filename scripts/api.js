@@ -1,209 +1,335 @@
 /**
  * NanoBanana Map Editor - API Communication
- * Handles communication with the Google Generative AI (Gemini / Imagen) API.
+ * Handles communication with the selected image generation provider
+ * (Google Generative AI, an OpenAI-compatible endpoint, or a self-hosted
+ * Automatic1111 server). See providers.js for the individual backends.
  */
 
 import { getSetting } from "./settings.js";
+import { PROVIDERS } from "./providers.js";
+
+const MODULE_ID = "nanobanana-map-editor";
 
 /**
- * Available NanoBanana models for image generation/editing.
- *
- * Nano Banana is Gemini's native image generation capability.
- * - Nano Banana: gemini-2.5-flash-image – optimized for speed and high-volume low-latency tasks.
- * - Nano Banana 2: gemini-3.1-flash-image-preview – high-efficiency counterpart of Gemini 3 Pro Image.
- * - Nano Banana Pro: gemini-3-pro-image-preview – designed for professional asset creation with
- *   advanced reasoning for complex instructions and high-fidelity text rendering.
- *
- * All generated images include a SynthID watermark.
+ * HTTP status codes that indicate a rate limit or a transient server error
+ * and are therefore worth retrying.
+ */
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Get the provider definition currently selected in the module settings.
+ * Falls back to Gemini if the stored value is unknown.
+ * @returns {object} The provider definition from PROVIDERS
+ */
+export function getActiveProvider() {
+  return PROVIDERS[getSetting("provider")] ?? PROVIDERS.gemini;
+}
+
+/**
+ * Get the model choices offered by a provider.
+ * @param {object} [provider] - Provider definition (defaults to the active one)
+ * @returns {Object<string, string>} Map of model ID to display label
+ */
+export function getModelChoices(provider = getActiveProvider()) {
+  return provider.models;
+}
+
+/**
+ * Get the configured model for a provider, falling back to its default
+ * when the stored value is not one of its models.
+ * @param {object} [provider] - Provider definition (defaults to the active one)
+ * @returns {string} Model ID
+ */
+export function getDefaultModel(provider = getActiveProvider()) {
+  const model = getSetting(provider.settings.model);
+  return model in provider.models ? model : provider.defaultModel;
+}
+
+/**
+ * Check whether the active provider has the settings it needs to make requests.
+ * @param {object} [provider] - Provider definition (defaults to the active one)
+ * @returns {boolean}
  */
-export const NANOBANANA_MODELS = {
-  "gemini-2.5-flash-image": "Nano Banana (Gemini 2.5 Flash Image)",
-  "gemini-3.1-flash-image-preview": "Nano Banana 2 (Gemini 3.1 Flash Image Preview)",
-  "gemini-3-pro-image-preview": "Nano Banana Pro (Gemini 3 Pro Image Preview)",
-};
+export function isProviderConfigured(provider = getActiveProvider()) {
+  const config = _getProviderConfig(provider);
+  if (!config.baseUrl) return false;
+  return !provider.requiresApiKey || !!config.apiKey;
+}
 
 /**
- * Send an image editing request to the Google Generative AI API.
- * Uses the Gemini model's generateContent endpoint with multimodal input
- * (image + text prompt) to produce an edited image.
+ * Send an image editing request to the selected provider.
+ * Sends the image together with the text prompt to produce an edited image.
  *
  * @param {string} imageBase64 - Base64-encoded source image (without data URI prefix)
  * @param {object} options - Generation options
  * @param {string} options.prompt - The text prompt describing the desired edit
  * @param {string} [options.model] - Model ID to use
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
  * @returns {Promise<string>} Base64-encoded result image
  */
 export async function sendImg2Img(imageBase64, options) {
-  const apiKey = getSetting("apiKey");
-  if (!apiKey) {
-    throw new Error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
-  }
+  return sendMultiImageGeneration([{ base64: imageBase64 }], options);
+}
 
-  const model = options.model || getSetting("model") || "gemini-2.5-flash-image";
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const payload = {
-    contents: [
-      {
-        parts: [
-          {
-            inlineData: {
-              mimeType: "image/png",
-              data: imageBase64,
-            },
-          },
-          {
-            text: options.prompt || "",
-          },
-        ],
-      },
-    ],
-    generationConfig: {
-      responseModalities: ["TEXT", "IMAGE"],
-    },
-  };
+/**
+ * Send a multi-image generation request to the selected provider.
+ * Used for generating character tokens from a portrait image with reference examples.
+ *
+ * @param {Array<{base64: string, mimeType?: string}>} images - Array of input images
+ * @param {object} options - Generation options
+ * @param {string} options.prompt - The text prompt describing the desired generation
+ * @param {string} [options.model] - Model ID to use
+ * @param {string} [options.mask] - Base64 alpha mask of the area that may change (inpainting)
+ * @param {string} [options.aspectRatio] - Requested output aspect ratio ("w:h"), see resolution.js
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @returns {Promise<string>} Base64-encoded result image
+ */
+export async function sendMultiImageGeneration(images, options) {
+  const { images: resultImages } = await _requestImages(images, { ...options, count: 1 });
+  return resultImages[0];
+}
 
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+/**
+ * Generate several alternative results for the same input and prompt.
+ * Providers that can return multiple images per request are asked for them in
+ * one call; otherwise the requests are sent in parallel. Individual failures
+ * are tolerated as long as at least one image comes back.
+ *
+ * @param {Array<{base64: string, mimeType?: string}>} images - Array of input images
+ * @param {object} options - Generation options (see sendMultiImageGeneration)
+ * @param {number} [options.count=1] - Number of variants to generate
+ * @returns {Promise<string[]>} Base64-encoded result images
+ */
+export async function generateImageVariants(images, options) {
+  const count = Math.max(1, Math.floor(options.count || 1));
+  const provider = getActiveProvider();
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(
-      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: errorText })
-    );
+  const batches = [];
+  for (let remaining = count; remaining > 0; remaining -= provider.maxBatch) {
+    batches.push(Math.min(remaining, provider.maxBatch));
   }
 
-  const result = await response.json();
-
-  // Extract the generated image from the response
-  const candidates = result.candidates;
-  if (!candidates || candidates.length === 0) {
-    throw new Error(
-      game.i18n.format("NANOBANANA.ErrorApiFailed", {
-        error: "No candidates returned",
-      })
-    );
-  }
+  const settled = await Promise.allSettled(
+    batches.map((batch) => _requestImages(images, { ...options, count: batch }))
+  );
 
-  const parts = candidates[0]?.content?.parts;
-  if (!parts) {
-    throw new Error(
-      game.i18n.format("NANOBANANA.ErrorApiFailed", {
-        error: "No content parts returned",
-      })
-    );
-  }
+  const results = settled
+    .filter((r) => r.status === "fulfilled")
+    .flatMap((r) => r.value.images);
+  if (!results.length) throw settled[0].reason;
 
-  // Find the first image part in the response
-  for (const part of parts) {
-    if (part.inlineData?.data) {
-      return part.inlineData.data;
-    }
+  for (const r of settled.filter((r) => r.status === "rejected")) {
+    _debugLog(`Variant request failed: ${r.reason?.message ?? r.reason}`);
   }
+  return results.slice(0, count);
+}
 
-  throw new Error(
-    game.i18n.format("NANOBANANA.ErrorApiFailed", {
-      error: "No image returned in response",
-    })
-  );
+/**
+ * Generate images from a text prompt alone, e.g. a new map. Reference images
+ * only guide the art style; providers that cannot take them (Automatic1111
+ * and DALL·E 2) generate from the prompt alone.
+ *
+ * @param {object} options - Generation options (see generateImageVariants)
+ * @param {string} [options.aspectRatio] - Output aspect ratio ("w:h"), see resolution.js
+ * @param {Array<{base64: string, mimeType?: string}>} [references] - Style reference images
+ * @returns {Promise<string[]>} Base64-encoded result images
+ */
+export async function generateFromText(options, references = []) {
+  return generateImageVariants(references, { ...options, textToImage: true });
 }
 
 /**
- * Send a multi-image generation request to the Google Generative AI API.
- * Used for generating character tokens from a portrait image with reference examples.
+ * Send the next turn of a multi-turn editing session.
+ * Providers with conversation support receive the full history; others edit
+ * the most recent image in the history (or the new input images) directly.
  *
- * @param {Array<{base64: string, mimeType?: string}>} images - Array of input images
- * @param {object} options - Generation options
- * @param {string} options.prompt - The text prompt describing the desired generation
- * @param {string} [options.model] - Model ID to use
- * @returns {Promise<string>} Base64-encoded result image
+ * @param {Array<{role: string, images?: string[], text?: string, signature?: string}>} history -
+ *   Earlier turns, oldest first, with base64 images
+ * @param {Array<{base64: string, mimeType?: string}>} images - Images attached to the new user turn
+ * @param {object} options - Generation options (see sendMultiImageGeneration)
+ * @returns {Promise<{image: string, text: string, signature: string|null}>} The model's reply
  */
-export async function sendMultiImageGeneration(images, options) {
-  const apiKey = getSetting("apiKey");
-  if (!apiKey) {
-    throw new Error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+export async function sendConversationTurn(history, images, options) {
+  const provider = getActiveProvider();
+
+  let result;
+  if (provider.supportsHistory) {
+    result = await _requestImages(images, { ...options, history, count: 1 });
+  } else {
+    const latest = history.findLast((turn) => turn.images?.length)?.images.at(-1);
+    const inputs = images.length || !latest ? images : [{ base64: latest }];
+    result = await _requestImages(inputs, { ...options, count: 1 });
   }
 
-  const model = options.model || getSetting("model") || "gemini-2.5-flash-image";
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+  return {
+    image: result.images[0],
+    text: result.text ?? "",
+    signature: result.signature ?? null,
+  };
+}
+
+/**
+ * Check whether an error was caused by the user cancelling a request.
+ * @param {Error} err - The caught error
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
 
-  const parts = [];
-  for (const img of images) {
-    parts.push({
-      inlineData: {
-        mimeType: img.mimeType || "image/png",
-        data: img.base64,
-      },
+/**
+ * Check if the selected provider is reachable with the configured settings.
+ * @returns {Promise<boolean>}
+ */
+export async function checkApiConnection() {
+  try {
+    const provider = getActiveProvider();
+    if (!isProviderConfigured(provider)) return false;
+    const { url, init } = provider.buildCheckRequest(_getProviderConfig(provider));
+    const response = await fetch(url, {
+      ...init,
+      signal: AbortSignal.timeout(5000),
     });
+    return response.ok;
+  } catch {
+    return false;
   }
-  parts.push({ text: options.prompt || "" });
-
-  const payload = {
-    contents: [{ parts }],
-    generationConfig: {
-      responseModalities: ["TEXT", "IMAGE"],
-    },
-  };
+}
 
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(
-      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: errorText })
-    );
+/**
+ * Build, send and parse a single request to the active provider.
+ * @returns {Promise<{images: string[], text: string, signature?: string}>}
+ */
+async function _requestImages(images, options) {
+  const provider = getActiveProvider();
+  if (!isProviderConfigured(provider)) {
+    throw new Error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
   }
 
+  const config = _getProviderConfig(provider);
+  const model = options.model in provider.models ? options.model : getDefaultModel(provider);
+  const { url, init } = await provider.buildRequest(images, { ...options, model }, config);
+
+  const response = await _fetchWithRetry(url, init, options.signal);
   const result = await response.json();
-  const candidates = result.candidates;
-  if (!candidates || candidates.length === 0) {
+  const parsed = provider.parseResponse(result);
+  if (!parsed.images.length) {
     throw new Error(
-      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: "No candidates returned" })
+      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: "No image returned in response" })
     );
   }
+  return parsed;
+}
+
+/**
+ * Read a provider's API key and base URL from the module settings.
+ */
+function _getProviderConfig(provider) {
+  const apiKey = (getSetting(provider.settings.apiKey) || "").trim();
+  const baseUrl = (getSetting(provider.settings.baseUrl) || provider.defaultBaseUrl)
+    .trim()
+    .replace(/\/+$/, "");
+  return { apiKey, baseUrl };
+}
+
+/**
+ * Perform a fetch with a per-attempt timeout, retrying rate-limit and transient
+ * errors with exponential backoff. A `Retry-After` header takes precedence over
+ * the computed delay. Aborting `signal` cancels the request and any pending wait.
+ *
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - Fetch options (without signal)
+ * @param {AbortSignal} [signal] - User cancellation signal
+ * @returns {Promise<Response>} A successful response
+ */
+async function _fetchWithRetry(url, init, signal) {
+  const timeoutSeconds = Math.max(1, Number(getSetting("requestTimeout")) || 120);
+  const maxRetries = Math.max(0, Math.floor(Number(getSetting("maxRetries")) || 0));
 
-  const resultParts = candidates[0]?.content?.parts;
-  if (!resultParts) {
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+
+    const timeoutSignal = AbortSignal.timeout(timeoutSeconds * 1000);
+    const attemptSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+    const canRetry = attempt < maxRetries;
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: attemptSignal });
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      const error = timeoutSignal.aborted
+        ? game.i18n.format("NANOBANANA.ErrorTimeout", { seconds: timeoutSeconds })
+        : game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message });
+      if (!canRetry) throw new Error(error);
+
+      const delay = _backoffDelay(attempt);
+      _debugLog(`${error} Retrying in ${delay} ms (${attempt + 1}/${maxRetries})`);
+      await _sleep(delay, signal);
+      continue;
+    }
+
+    if (response.ok) return response;
+
+    if (canRetry && RETRYABLE_STATUS.has(response.status)) {
+      const delay = _retryAfterDelay(response) ?? _backoffDelay(attempt);
+      _debugLog(`Request failed with HTTP ${response.status}. Retrying in ${delay} ms (${attempt + 1}/${maxRetries})`);
+      await _sleep(delay, signal);
+      continue;
+    }
+
+    const errorText = await response.text();
     throw new Error(
-      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: "No content parts returned" })
+      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: errorText })
     );
   }
+}
 
-  for (const part of resultParts) {
-    if (part.inlineData?.data) {
-      return part.inlineData.data;
-    }
-  }
+/**
+ * Log a retried or failed request when the "Log Request Retries" setting is on.
+ */
+function _debugLog(message) {
+  if (getSetting("debugLogging")) console.warn(`${MODULE_ID} | ${message}`);
+}
 
-  throw new Error(
-    game.i18n.format("NANOBANANA.ErrorApiFailed", { error: "No image returned in response" })
-  );
+/**
+ * Exponential backoff with a little jitter: ~1s, 2s, 4s, … capped at 30s.
+ */
+function _backoffDelay(attempt) {
+  return Math.min(30000, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
 }
 
 /**
- * Check if the Google Generative AI API is reachable with the configured key.
- * @returns {Promise<boolean>}
+ * Read a `Retry-After` header (delta-seconds or HTTP date) as milliseconds.
+ * Returns null when the header is missing or unparseable. Capped at 2 minutes.
  */
-export async function checkApiConnection() {
-  try {
-    const apiKey = getSetting("apiKey");
-    if (!apiKey) return false;
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`,
-      {
-        method: "GET",
-        signal: AbortSignal.timeout(5000),
-      }
-    );
-    return response.ok;
-  } catch {
-    return false;
-  }
+function _retryAfterDelay(response) {
+  const header = response.headers.get("Retry-After");
+  if (!header) return null;
+
+  let delay = Number(header) * 1000;
+  if (Number.isNaN(delay)) delay = Date.parse(header) - Date.now();
+  if (Number.isNaN(delay)) return null;
+  return Math.min(120000, Math.max(0, delay));
+}
+
+/**
+ * Wait for the given time, rejecting early if the signal is aborted.
+ */
+function _sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
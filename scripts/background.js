@@ -0,0 +1,213 @@
+/**
+ * NanoBanana Map Editor - Background Compositing
+ * Builds scene background images offline from the source textures, at the
+ * background image's native resolution, instead of rendering the live canvas.
+ *
+ * The background image covers the scene rectangle (`scene.dimensions.sceneRect`),
+ * which already accounts for the scene padding and the background offsets, so
+ * everything is composited in that rectangle: the result can replace the
+ * background without moving it, and anything in the padding is cut off.
+ * Lighting, fog, grid, tokens and drawings are never part of the image.
+ *
+ * Edits baked into the background are recorded in the scene flags, like tile
+ * versions: `backgroundVersions` lists every background image,
+ * `{path, prompt, model, provider, region, timestamp}`, and `backgroundVersion`
+ * is the index of the one shown.
+ */
+
+import { loadImage, loadBase64Image, createCanvas, canvasToBase64 } from "./image.js";
+import { uploadImage } from "./portrait.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Largest canvas side browsers reliably allocate; bigger results are scaled down. */
+export const MAX_CANVAS_SIDE = 16384;
+
+/**
+ * Where accepted map edits go: a new tile, or baked into the scene background.
+ */
+export const OUTPUT_MODES = {
+  tile: "NANOBANANA.OutputTile",
+  background: "NANOBANANA.OutputBackground",
+};
+
+/**
+ * Composite the scene background and a set of tiles into a new background
+ * image. Tiles are drawn in their canvas order (elevation, then sort) with
+ * their position, rotation, texture fit, scale, mirroring and alpha applied.
+ *
+ * @param {Scene} scene - The scene whose background is used
+ * @param {TileDocument[]} [tiles] - Tiles to draw on top of the background
+ * @returns {Promise<string>} Base64-encoded PNG covering the scene rectangle
+ */
+export async function compositeSceneBackground(scene, tiles = []) {
+  const { canvas, ctx } = await renderSceneBackground(scene);
+  const sorted = [...tiles].sort((a, b) => a.elevation - b.elevation || a.sort - b.sort);
+  for (const tile of sorted) {
+    await _drawTile(ctx, tile);
+  }
+
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Bake a finished patch (cropped, shaped and feathered like a tile texture)
+ * into the scene background at its scene coordinates, upload the result and
+ * record it as a new background version.
+ * @param {Scene} scene - The scene to edit
+ * @param {string} patchBase64 - Base64-encoded patch with alpha
+ * @param {object} rect - Scene area the patch covers
+ * @param {object} provenance - How the patch was generated ({prompt, model, provider})
+ * @returns {Promise<Scene>}
+ */
+export async function bakeIntoBackground(scene, patchBase64, rect, provenance) {
+  const [{ canvas, ctx }, patch] = await Promise.all([renderSceneBackground(scene), loadBase64Image(patchBase64)]);
+  ctx.drawImage(patch, rect.x, rect.y, rect.width, rect.height);
+  const path = await uploadImage(canvasToBase64(canvas), "nanobanana-background");
+  return addBackgroundVersion(scene, path, { ...provenance, region: rect });
+}
+
+/**
+ * Show a new background image and append it to the scene's background
+ * versions. The background shown before is recorded first if it is not the
+ * current version (the first bake, or a background changed since, e.g. by Flatten).
+ * @param {Scene} scene - The scene
+ * @param {string} imagePath - Path of the uploaded background
+ * @param {object} provenance - `{prompt, model, provider, region}`
+ * @returns {Promise<Scene>}
+ */
+export async function addBackgroundVersion(scene, imagePath, { prompt, model, provider, region }) {
+  const versions = [...(scene.getFlag(MODULE_ID, "backgroundVersions") ?? [])];
+  const current = versions[scene.getFlag(MODULE_ID, "backgroundVersion") ?? versions.length - 1];
+  if (current?.path !== scene.background.src) {
+    versions.push({
+      path: scene.background.src ?? null,
+      prompt: null,
+      model: null,
+      provider: null,
+      region: null,
+      timestamp: Date.now(),
+    });
+  }
+  versions.push({ path: imagePath, prompt, model, provider, region, timestamp: Date.now() });
+  return scene.update({
+    "background.src": imagePath,
+    [`flags.${MODULE_ID}.backgroundVersions`]: versions,
+    [`flags.${MODULE_ID}.backgroundVersion`]: versions.length - 1,
+  });
+}
+
+/**
+ * Show one of the scene's recorded background versions.
+ * @param {Scene} scene - The scene
+ * @param {number} index - Index into the background versions
+ * @returns {Promise<Scene>}
+ */
+export async function setBackgroundVersion(scene, index) {
+  const version = scene.getFlag(MODULE_ID, "backgroundVersions")?.[index];
+  if (!version) return scene;
+  return scene.update({
+    "background.src": version.path,
+    [`flags.${MODULE_ID}.backgroundVersion`]: index,
+  });
+}
+
+/**
+ * Draw the scene background at its native pixel density (1 pixel per scene
+ * unit without a background image) onto a new canvas whose context is set up
+ * in scene coordinates, to draw further images onto.
+ * @param {Scene} scene
+ * @param {string|null} [src] - Background image to draw instead of the current one
+ * @returns {Promise<{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}>}
+ */
+export async function renderSceneBackground(scene, src = scene.background.src) {
+  const { sceneX, sceneY, sceneWidth, sceneHeight } = scene.dimensions;
+  const background = src ? await _loadTexture(src) : null;
+
+  const scale = Math.min(
+    background ? background.width / sceneWidth : 1,
+    MAX_CANVAS_SIDE / sceneWidth,
+    MAX_CANVAS_SIDE / sceneHeight
+  );
+  const { canvas, ctx } = createCanvas(sceneWidth * scale, sceneHeight * scale);
+  ctx.fillStyle = String(scene.backgroundColor ?? "#000000");
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (background) ctx.drawImage(background.source, 0, 0, canvas.width, canvas.height);
+
+  ctx.scale(canvas.width / sceneWidth, canvas.height / sceneHeight);
+  ctx.translate(-sceneX, -sceneY);
+  return { canvas, ctx };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Draw a tile the way its mesh renders it: the texture is fitted into the
+ * tile's frame, scaled (negative scale mirrors), placed at the texture anchor
+ * and rotated around the frame's center.
+ * @param {CanvasRenderingContext2D} ctx - Context in scene coordinates
+ * @param {TileDocument} tile
+ */
+async function _drawTile(ctx, tile) {
+  const { texture } = tile;
+  if (!texture.src) return;
+  const image = await _loadTexture(texture.src);
+  const { width, height } = _fitTexture(image, tile.width, tile.height, texture.fit);
+
+  ctx.save();
+  ctx.globalAlpha = tile.alpha ?? 1;
+  ctx.translate(tile.x + tile.width / 2, tile.y + tile.height / 2);
+  ctx.rotate(Math.toRadians(tile.rotation ?? 0));
+  ctx.scale(texture.scaleX ?? 1, texture.scaleY ?? 1);
+  ctx.drawImage(
+    image.source,
+    -width * (texture.anchorX ?? 0.5),
+    -height * (texture.anchorY ?? 0.5),
+    width,
+    height
+  );
+  ctx.restore();
+}
+
+/**
+ * Size of a texture fitted into a frame, following the tile "fit" modes.
+ * @returns {{width: number, height: number}}
+ */
+function _fitTexture(image, width, height, fit = "fill") {
+  const scaleX = width / image.width;
+  const scaleY = height / image.height;
+  let scale;
+  switch (fit) {
+    case "contain": scale = Math.min(scaleX, scaleY); break;
+    case "cover": scale = Math.max(scaleX, scaleY); break;
+    case "width": scale = scaleX; break;
+    case "height": scale = scaleY; break;
+    default: return { width, height };
+  }
+  return { width: image.width * scale, height: image.height * scale };
+}
+
+/**
+ * Load an image or the first frame of a video as a drawable source.
+ * @param {string} src - Texture path
+ * @returns {Promise<{source: CanvasImageSource, width: number, height: number}>}
+ */
+async function _loadTexture(src) {
+  const VH = foundry.helpers?.media?.VideoHelper ?? VideoHelper;
+  if (!VH.hasVideoExtension(src)) {
+    const img = await loadImage(src);
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+  }
+  const video = await new Promise((resolve, reject) => {
+    const el = document.createElement("video");
+    el.crossOrigin = "anonymous";
+    el.muted = true;
+    el.preload = "auto";
+    el.onloadeddata = () => resolve(el);
+    el.onerror = () => reject(new Error(`Failed to load video: ${src.slice(0, 64)}`));
+    el.src = src;
+  });
+  return { source: video, width: video.videoWidth, height: video.videoHeight };
+}
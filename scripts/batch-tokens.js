@@ -0,0 +1,381 @@
+/**
+ * NanoBanana Map Editor - Batch Token Generation
+ * Generates tokens for every actor in a folder or compendium pack with one set
+ * of style examples, prompt and background-removal choice.
+ *
+ * Tokens are generated a few at a time with per-actor progress. Actors that
+ * fail can be retried or skipped, and nothing is uploaded or applied until the
+ * results are reviewed on a contact sheet, where each token is accepted or
+ * rejected.
+ */
+
+import { getDefaultModel, isProviderConfigured, isAbortError } from "./api.js";
+import { loadImageAsBase64, uploadImage, updateActorToken, scanTokenExamples } from "./portrait.js";
+import { generateToken, loadTokenExamples, tokenExamplesHtml, getTokenDefaultPrompts } from "./portrait-dialog.js";
+import { showContactSheet } from "./review.js";
+import { escapeHtml, modelOptionsHtml, findDialogForm } from "./html.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Default portrait of actors without one; they are skipped. */
+const DEFAULT_PORTRAIT = "icons/svg/mystery-man.svg";
+
+/** Maximum number of tokens generated at the same time. */
+const MAX_CONCURRENCY = 4;
+
+/**
+ * Status of an actor in the batch, mapped to its label.
+ */
+const JOB_STATUS = {
+  queued: "NANOBANANA.BatchStatusQueued",
+  running: "NANOBANANA.BatchStatusRunning",
+  done: "NANOBANANA.BatchStatusDone",
+  failed: "NANOBANANA.BatchStatusFailed",
+};
+
+/**
+ * Generate tokens for the actors of a folder, including its subfolders.
+ * @param {Folder} folder - An Actor folder
+ * @returns {Promise<void>}
+ */
+export async function batchTokensForFolder(folder) {
+  const folders = [folder, ...folder.getSubfolders(true)];
+  const actors = folders.flatMap((f) => f.contents);
+  return batchGenerateTokens(actors, folder.name);
+}
+
+/**
+ * Generate tokens for the actors of a compendium pack.
+ * @param {CompendiumCollection} pack - An Actor compendium
+ * @returns {Promise<void>}
+ */
+export async function batchTokensForPack(pack) {
+  if (pack.locked) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.BatchPackLocked"));
+    return;
+  }
+  const actors = await pack.getDocuments();
+  return batchGenerateTokens(actors, pack.title);
+}
+
+/**
+ * Generate tokens for a set of actors from their portraits.
+ * 1. Asks for the shared examples, prompt, model and background removal.
+ * 2. Generates the tokens with limited concurrency, showing each actor's progress.
+ * 3. Offers to retry or skip the actors that failed.
+ * 4. Shows a contact sheet to accept or reject each token.
+ * 5. Uploads the accepted tokens and sets them on their actors.
+ *
+ * @param {Actor[]} actors - Actors to generate tokens for; actors without a portrait are skipped
+ * @param {string} label - Name of the folder or pack, shown in the window titles
+ * @returns {Promise<void>}
+ */
+export async function batchGenerateTokens(actors, label) {
+  if (!isProviderConfigured()) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+    return;
+  }
+
+  const withPortrait = actors.filter((a) => a.img && a.img !== DEFAULT_PORTRAIT);
+  if (!withPortrait.length) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.BatchNoActors"));
+    return;
+  }
+
+  ui.notifications.info(game.i18n.localize("NANOBANANA.TokenGenScanning"));
+  const examples = await scanTokenExamples();
+  const options = await _showBatchDialog(withPortrait, examples, label);
+  if (!options) return;
+
+  const jobs = withPortrait.map((actor, index) => ({ index, actor, status: "queued", result: null, error: null }));
+
+  try {
+    const loadedExamples = await loadTokenExamples(options.examples);
+
+    // Generate, then retry the failed actors until none fail or they are skipped
+    let pending = jobs;
+    while (pending.length) {
+      await _runBatch(jobs, pending, loadedExamples, options, label);
+      const failed = jobs.filter((job) => job.status === "failed");
+      if (!failed.length) break;
+
+      const choice = await _showFailuresDialog(failed);
+      if (!choice) return;
+      pending = choice === "retry" ? failed : [];
+    }
+
+    const generated = jobs.filter((job) => job.status === "done");
+    if (!generated.length) return;
+    const acceptedIndices = await showContactSheet({
+      title: `${game.i18n.localize("NANOBANANA.BatchReviewTitle")}: ${label}`,
+      hint: game.i18n.localize("NANOBANANA.BatchReviewHint"),
+      items: generated.map((job) => ({ base64: job.result, label: job.actor.name, thumbSrc: job.actor.img })),
+    });
+    const accepted = acceptedIndices?.map((index) => generated[index]);
+    if (!accepted?.length) return;
+
+    // Apply the accepted tokens
+    let updated = 0;
+    for (const job of accepted) {
+      try {
+        const path = await uploadImage(job.result, "nanobanana-token-gen");
+        await updateActorToken(job.actor, path, { prompt: options.prompt, model: options.model });
+        updated++;
+      } catch (err) {
+        console.error(`${MODULE_ID} | Batch token update error (${job.actor.name}):`, err);
+        ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: `${job.actor.name}: ${err.message}` }));
+      }
+    }
+    ui.notifications.info(game.i18n.format("NANOBANANA.BatchSuccess", { count: updated }));
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return;
+    }
+    console.error(`${MODULE_ID} | Batch token generation error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Generate the tokens of the pending jobs, `options.concurrency` at a time,
+ * in a progress window listing every actor of the batch. A failing actor is
+ * marked as failed and the batch goes on; cancelling aborts all requests.
+ * @param {object[]} jobs - Every job of the batch (shown in the list)
+ * @param {object[]} pending - Jobs to generate now
+ * @param {Array<{base64: string, prompt: string}>} examples - Loaded style examples
+ * @param {object} options - Batch options from the batch dialog
+ * @param {string} label - Window title suffix
+ * @returns {Promise<void>} Rejects with an AbortError when cancelled
+ */
+async function _runBatch(jobs, pending, examples, options, label) {
+  const controller = new AbortController();
+  let finished = false;
+  for (const job of pending) {
+    Object.assign(job, { status: "queued", result: null, error: null });
+  }
+
+  const listHtml = jobs
+    .map(
+      (job) => `
+        <li class="nanobanana-batch-job" data-index="${job.index}" data-status="${job.status}">
+          <img src="${escapeHtml(job.actor.img)}" alt=""/>
+          <span class="name">${escapeHtml(job.actor.name)}</span>
+          <span class="status">${game.i18n.localize(JOB_STATUS[job.status])}</span>
+        </li>`
+    )
+    .join("");
+
+  const dialog = new foundry.applications.api.DialogV2({
+    window: {
+      title: `${game.i18n.localize("NANOBANANA.BatchTitle")}: ${label}`,
+      icon: "fas fa-wand-magic-sparkles",
+    },
+    classes: ["nanobanana-batch-progress"],
+    position: { width: 420 },
+    content: `<ol class="nanobanana-batch-jobs">${listHtml}</ol>`,
+    buttons: [
+      {
+        action: "cancel",
+        label: game.i18n.localize("NANOBANANA.DialogCancel"),
+        icon: "fas fa-times",
+        default: true,
+        callback: () => controller.abort(),
+      },
+    ],
+  });
+
+  // Closing the window from its header also cancels the batch
+  dialog.addEventListener?.("close", () => {
+    if (!finished) controller.abort();
+  });
+  await dialog.render(true);
+
+  const showStatus = (job) => {
+    const item = dialog.element?.querySelector?.(`[data-index="${job.index}"]`);
+    if (!item) return;
+    item.dataset.status = job.status;
+    const status = item.querySelector(".status");
+    status.textContent = game.i18n.localize(JOB_STATUS[job.status]);
+    status.title = job.error ?? "";
+  };
+
+  const queue = [...pending];
+  const worker = async () => {
+    while (queue.length && !controller.signal.aborted) {
+      const job = queue.shift();
+      job.status = "running";
+      showStatus(job);
+      try {
+        const portraitBase64 = await loadImageAsBase64(job.actor.img);
+        job.result = await generateToken(portraitBase64, examples, {
+          prompt: options.prompt,
+          model: options.model,
+          removeBg: options.removeBackground,
+          signal: controller.signal,
+        });
+        job.status = "done";
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(`${MODULE_ID} | Batch token error (${job.actor.name}):`, err);
+        job.status = "failed";
+        job.error = err.message;
+      }
+      showStatus(job);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, queue.length) }, worker));
+    controller.signal.throwIfAborted();
+  } finally {
+    finished = true;
+    if (dialog.rendered) dialog.close();
+  }
+}
+
+/**
+ * Show the batch options: shared examples, model, prompt, background removal
+ * and how many tokens are generated at the same time.
+ * @returns {Promise<{examples: object[], model: string, prompt: string,
+ *   removeBackground: boolean, concurrency: number}|null>}
+ */
+async function _showBatchDialog(actors, examples, label) {
+  const currentModel = getDefaultModel();
+  const defaultPrompts = getTokenDefaultPrompts().figurine;
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-batch-dialog">
+      <p>${game.i18n.format("NANOBANANA.BatchActorsLabel", { count: actors.length })}</p>
+      ${tokenExamplesHtml(examples)}
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptionsHtml(currentModel)}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.TokenGenPromptLangLabel")}</label>
+        <select name="promptLang">
+          <option value="ko">${game.i18n.localize("NANOBANANA.TokenGenPromptLangKo")}</option>
+          <option value="en">${game.i18n.localize("NANOBANANA.TokenGenPromptLangEn")}</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
+        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.TokenGenPromptPlaceholder")}">${defaultPrompts.ko}</textarea>
+      </div>
+      <div class="form-group">
+        <label>
+          <input type="checkbox" name="removeBackground" checked />
+          ${game.i18n.localize("NANOBANANA.TokenGenRemoveBg")}
+        </label>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.BatchConcurrencyLabel")}</label>
+        <input type="number" name="concurrency" value="2" min="1" max="${MAX_CONCURRENCY}" step="1"/>
+      </div>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form = findDialogForm(dialogRef, ".nanobanana-batch-dialog");
+    const value = (name) => form?.querySelector(`[name="${name}"]`)?.value;
+    return {
+      examples: examples.filter((ex, idx) => form?.querySelector(`[name="example-${idx}"]`)?.checked),
+      model: value("model") || currentModel,
+      prompt: value("prompt")?.trim() ?? "",
+      removeBackground: form?.querySelector('[name="removeBackground"]')?.checked ?? false,
+      concurrency: Math.clamp(Math.round(Number(value("concurrency")) || 1), 1, MAX_CONCURRENCY),
+    };
+  };
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: `${game.i18n.localize("NANOBANANA.BatchTitle")}: ${label}` },
+      position: { width: 480 },
+      content,
+      buttons: [
+        {
+          action: "generate",
+          label: game.i18n.localize("NANOBANANA.DialogGenerate"),
+          icon: "fas fa-magic",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            const options = readForm(dialogRef);
+            if (!options.prompt) {
+              ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+              resolve(null);
+              return;
+            }
+            resolve(options);
+          },
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("NANOBANANA.DialogCancel"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+
+    // Switch the default prompt with the language selector
+    dialog.render(true).then(() => {
+      const form = dialog.element?.querySelector?.("form");
+      const langSelect = form?.querySelector('[name="promptLang"]');
+      const promptArea = form?.querySelector('[name="prompt"]');
+      langSelect?.addEventListener("change", () => {
+        promptArea.value = defaultPrompts[langSelect.value];
+      });
+    });
+  });
+}
+
+/**
+ * List the actors whose token could not be generated.
+ * @param {object[]} failed - Failed jobs
+ * @returns {Promise<"retry"|"skip"|null>} null cancels the batch
+ */
+async function _showFailuresDialog(failed) {
+  const items = failed
+    .map((job) => `<li><strong>${escapeHtml(job.actor.name)}</strong>: ${escapeHtml(job.error ?? "")}</li>`)
+    .join("");
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: game.i18n.localize("NANOBANANA.BatchFailedTitle") },
+      position: { width: 420 },
+      content: `
+        <p>${game.i18n.format("NANOBANANA.BatchFailedMessage", { count: failed.length })}</p>
+        <ul class="nanobanana-batch-failures">${items}</ul>
+      `,
+      buttons: [
+        {
+          action: "retry",
+          label: game.i18n.localize("NANOBANANA.BatchRetryFailed"),
+          icon: "fas fa-rotate",
+          default: true,
+          callback: () => resolve("retry"),
+        },
+        {
+          action: "skip",
+          label: game.i18n.localize("NANOBANANA.BatchSkipFailed"),
+          icon: "fas fa-forward",
+          callback: () => resolve("skip"),
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("NANOBANANA.DialogCancel"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
@@ -6,38 +6,156 @@
  * match the capture region, pans to center on the selected area at 1:1
  * scale, then renders individual canvas layers into a RenderTexture.
  * This avoids culling issues and correctly captures all visible elements.
+ *
+ * Regions larger than the GPU's maximum texture size are rendered in chunks
+ * and stitched together on a 2D canvas, with progress shown as a notification.
+ *
+ * The background, scene drawings and NanoBanana-generated tiles are always
+ * captured. The remaining layers are optional, so that tokens, grid lines and
+ * other overlays are not sent to the model and baked into generated tiles.
  */
 
+import { loadBase64Image, createCanvas, canvasToBase64 } from "./image.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
 /**
- * Capture the full scene canvas as a base64 PNG string.
- * Delegates to captureCanvasRegion using the full scene dimensions.
- *
- * @returns {Promise<string>} Base64-encoded PNG image (without data URI prefix)
+ * Upper bound for the side of a single render chunk, even on GPUs that allow
+ * larger textures, to keep the temporary renderer resize and memory use modest.
+ */
+const MAX_CHUNK_SIZE = 4096;
+
+/**
+ * Optional capture layers, keyed by the name used in layer selections.
+ * `setting` holds the world-wide default; `default` is that setting's initial value.
+ */
+export const CAPTURE_LAYERS = {
+  userTiles: { setting: "captureUserTiles", label: "NANOBANANA.CaptureUserTiles", default: true },
+  visibility: { setting: "captureVisibility", label: "NANOBANANA.CaptureVisibility", default: false },
+  grid: { setting: "captureGrid", label: "NANOBANANA.CaptureGrid", default: false },
+  tokens: { setting: "captureTokens", label: "NANOBANANA.CaptureTokens", default: false },
+  interfaceDrawings: { setting: "captureInterfaceDrawings", label: "NANOBANANA.CaptureInterfaceDrawings", default: false },
+};
+
+/**
+ * Read the default layer selection from the module settings.
+ * @returns {Object<string, boolean>} Layer name → included
  */
-export async function captureFullScene() {
-  const d = canvas.dimensions;
-  return captureCanvasRegion({
-    x: d.sceneX,
-    y: d.sceneY,
-    width: d.sceneWidth,
-    height: d.sceneHeight,
-  });
+export function getDefaultCaptureLayers() {
+  return Object.fromEntries(
+    Object.entries(CAPTURE_LAYERS).map(([name, { setting }]) => [name, !!game.settings.get(MODULE_ID, setting)])
+  );
 }
 
 /**
  * Capture a rectangular region of the canvas as a base64 PNG string.
- * Temporarily reconfigures the renderer to avoid culling, renders each
- * visible layer into an offscreen RenderTexture, then restores the
- * original viewport.
+ * Regions that fit into one GPU texture are rendered directly; larger regions
+ * are rendered in chunks and stitched together.
  *
  * @param {object} rect - The rectangle to capture in scene coordinates
  * @param {number} rect.x - Left edge in scene coordinates
  * @param {number} rect.y - Top edge in scene coordinates
  * @param {number} rect.width - Width in scene coordinates
  * @param {number} rect.height - Height in scene coordinates
+ * @param {Object<string, boolean>} [layers] - Optional layers to include, keyed as in
+ *   CAPTURE_LAYERS (defaults from settings)
+ * @returns {Promise<string>} Base64-encoded PNG image (without data URI prefix)
+ */
+export async function captureCanvasRegion(rect, layers = getDefaultCaptureLayers()) {
+  const chunkSize = _getChunkSize();
+  if (Math.round(rect.width) <= chunkSize && Math.round(rect.height) <= chunkSize) {
+    return _captureSingle(rect, layers);
+  }
+  return _captureChunked(rect, layers, chunkSize);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Largest square the renderer can draw in one pass: the GPU's maximum texture
+ * and viewport size, limited to MAX_CHUNK_SIZE.
+ * @returns {number}
+ */
+function _getChunkSize() {
+  const gl = canvas.app.renderer.gl;
+  let limit = MAX_CHUNK_SIZE;
+  if (gl) {
+    const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS) ?? [];
+    limit = Math.min(
+      limit,
+      gl.getParameter(gl.MAX_TEXTURE_SIZE) || limit,
+      maxViewportWidth || limit,
+      maxViewportHeight || limit
+    );
+  }
+  return limit;
+}
+
+/**
+ * Render an oversize region chunk by chunk and stitch the chunks into one image.
+ * @param {object} rect - The rectangle to capture in scene coordinates
+ * @param {Object<string, boolean>} layers - Optional layers to include
+ * @param {number} chunkSize - Maximum chunk side in pixels
+ * @returns {Promise<string>} Base64-encoded PNG image
+ */
+async function _captureChunked(rect, layers, chunkSize) {
+  const w = Math.round(rect.width);
+  const h = Math.round(rect.height);
+  const columns = Math.ceil(w / chunkSize);
+  const rows = Math.ceil(h / chunkSize);
+  const total = columns * rows;
+
+  // Stitched image plus one chunk's render texture and its extracted copy
+  const memoryMb = Math.ceil((w * h * 4 + chunkSize * chunkSize * 4 * 2) / (1024 * 1024));
+  const progress = ui.notifications.info(
+    game.i18n.format("NANOBANANA.CaptureChunkProgress", { current: 0, total, memory: memoryMb }),
+    { progress: true }
+  );
+
+  const { canvas: stitched, ctx } = createCanvas(w, h);
+  try {
+    let current = 0;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const offsetX = col * chunkSize;
+        const offsetY = row * chunkSize;
+        const chunk = {
+          x: rect.x + offsetX,
+          y: rect.y + offsetY,
+          width: Math.min(chunkSize, w - offsetX),
+          height: Math.min(chunkSize, h - offsetY),
+        };
+        const image = await loadBase64Image(await _captureSingle(chunk, layers));
+        ctx.drawImage(image, offsetX, offsetY, chunk.width, chunk.height);
+
+        current++;
+        progress?.update?.({
+          pct: current / total,
+          message: game.i18n.format("NANOBANANA.CaptureChunkProgress", { current, total, memory: memoryMb }),
+        });
+      }
+    }
+    return canvasToBase64(stitched);
+  } finally {
+    // Release the stitched bitmap right away; it can be hundreds of megabytes
+    stitched.width = stitched.height = 0;
+    progress?.update?.({ pct: 1 });
+  }
+}
+
+/**
+ * Capture a region that fits into a single render texture.
+ * Temporarily reconfigures the renderer to avoid culling, renders each
+ * visible layer into an offscreen RenderTexture, then restores the
+ * original viewport.
+ *
+ * @param {object} rect - The rectangle to capture in scene coordinates
+ * @param {Object<string, boolean>} layers - Optional layers to include
  * @returns {Promise<string>} Base64-encoded PNG image (without data URI prefix)
  */
-export async function captureCanvasRegion(rect) {
+async function _captureSingle(rect, layers) {
   const renderer = canvas.app.renderer;
 
   const w = Math.round(rect.width);
@@ -75,8 +193,11 @@ export async function captureCanvasRegion(rect) {
     // Background
     renderer.render(canvas.primary.background, { renderTexture: rt, skipUpdateTransform: true });
 
-    // Visible tiles
-    for (const tile of canvas.tiles.placeables.filter(x => !x.document.hidden)) {
+    // Visible tiles (tiles not generated by this module only when requested)
+    const tiles = canvas.tiles.placeables.filter(
+      x => !x.document.hidden && (layers.userTiles || x.document.getFlag(MODULE_ID, "generated"))
+    );
+    for (const tile of tiles) {
       if (tile.mesh) renderer.render(tile.mesh, { renderTexture: rt, skipUpdateTransform: true, clear: false });
     }
 
@@ -86,21 +207,27 @@ export async function captureCanvasRegion(rect) {
     }
 
     // Fog / Line of Sight / visibility
-    renderer.render(canvas.visibility, { renderTexture: rt, skipUpdateTransform: true, clear: false });
+    if (layers.visibility) {
+      renderer.render(canvas.visibility, { renderTexture: rt, skipUpdateTransform: true, clear: false });
+    }
 
     // Grid
-    if (canvas.interface?.grid?.mesh) {
+    if (layers.grid && canvas.interface?.grid?.mesh) {
       renderer.render(canvas.interface.grid.mesh, { renderTexture: rt, skipUpdateTransform: true, clear: false });
     }
 
     // Visible tokens
-    for (const token of canvas.tokens.placeables.filter(x => !x.document.hidden)) {
-      if (token.mesh) renderer.render(token.mesh, { renderTexture: rt, skipUpdateTransform: true, clear: false });
+    if (layers.tokens) {
+      for (const token of canvas.tokens.placeables.filter(x => !x.document.hidden)) {
+        if (token.mesh) renderer.render(token.mesh, { renderTexture: rt, skipUpdateTransform: true, clear: false });
+      }
     }
 
     // Informational drawings
-    for (const drawing of canvas.drawings.placeables.filter(x => !x.document.hidden && x.document.interface)) {
-      if (drawing.shape) renderer.render(drawing.shape, { renderTexture: rt, skipUpdateTransform: true, clear: false });
+    if (layers.interfaceDrawings) {
+      for (const drawing of canvas.drawings.placeables.filter(x => !x.document.hidden && x.document.interface)) {
+        if (drawing.shape) renderer.render(drawing.shape, { renderTexture: rt, skipUpdateTransform: true, clear: false });
+      }
     }
 
     // Extract the rendered image as base64 PNG
@@ -0,0 +1,354 @@
+/**
+ * NanoBanana Map Editor - Condition Tokens
+ * Variants of a character's token for conditions (bloodied, unconscious,
+ * invisible, raging), generated from the current token image with preset
+ * prompts and stored in the actor flags as `conditionTokens`,
+ * `{[condition]: {path, prompt, model, timestamp}}`.
+ *
+ * Placed tokens switch to the matching variant while a condition applies:
+ * when the actor has one of the condition's status effects, or when its HP
+ * (read from a configurable attribute path, so any system works) drops below
+ * the bloodied threshold or to zero. The image a token showed before is kept
+ * in its flags (`conditionBase`) and put back when no condition applies; new
+ * token art set in the meantime replaces that stored image (see portrait.js).
+ * Only the active GM updates tokens, so each change is applied once.
+ */
+
+import { getModelChoices, getDefaultModel, isProviderConfigured, isAbortError, sendImg2Img } from "./api.js";
+import { getSetting } from "./settings.js";
+import { runGenerationTask } from "./progress.js";
+import { showContactSheet } from "./review.js";
+import { loadImageAsBase64, uploadImage, removeBackground, getActorTokenImage } from "./portrait.js";
+import { escapeHtml } from "./html.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Last queued token refresh of each actor, keyed by actor UUID. */
+const _refreshQueue = new Map();
+
+/**
+ * Condition presets in priority order: when several apply, the first wins.
+ * `statuses` are status effect IDs that turn the condition on; `hp` links it
+ * to the actor's HP ("down" at 0 HP, "bloodied" below the bloodied threshold).
+ */
+export const CONDITION_PRESETS = {
+  unconscious: {
+    label: "NANOBANANA.ConditionUnconscious",
+    statuses: ["unconscious", "dead"],
+    hp: "down",
+    prompt:
+      "Show this same character unconscious: collapsed and lying on the ground as seen from above, eyes closed, " +
+      "limp. Keep the character's design, colors, art style and framing identical.",
+  },
+  invisible: {
+    label: "NANOBANANA.ConditionInvisible",
+    statuses: ["invisible"],
+    hp: null,
+    prompt:
+      "Show this same character turning invisible: a faint, semi-transparent, shimmering silhouette with a subtle " +
+      "magical distortion along its outline. Keep the pose, art style and framing identical.",
+  },
+  raging: {
+    label: "NANOBANANA.ConditionRaging",
+    statuses: ["rage", "raging", "enraged"],
+    hp: null,
+    prompt:
+      "Show this same character in a battle rage: furious expression, tense aggressive pose and a faint red aura. " +
+      "Keep the character's design, colors, art style and framing identical.",
+  },
+  bloodied: {
+    label: "NANOBANANA.ConditionBloodied",
+    statuses: ["bloodied"],
+    hp: "bloodied",
+    prompt:
+      "Show this same character bloodied and wounded: cuts, bruises, torn clothing and blood stains. " +
+      "Keep the pose, art style and framing identical.",
+  },
+};
+
+/**
+ * Show the condition token dialog of an actor: pick the conditions to
+ * generate, adjust their prompts, review the results and store the accepted ones.
+ * @param {Actor} actor - The Foundry actor document
+ * @returns {Promise<void>}
+ */
+export async function showConditionTokenDialog(actor) {
+  const sourcePath = _conditionSource(actor);
+  if (!sourcePath) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.TokenNoImage"));
+    return;
+  }
+
+  const choice = await _showConditionDialog(actor, sourcePath);
+  if (!choice) return;
+  if (choice.action === "clear") {
+    await actor.unsetFlag(MODULE_ID, "conditionTokens");
+    ui.notifications.info(game.i18n.localize("NANOBANANA.ConditionCleared"));
+    return;
+  }
+  if (!choice.conditions.length) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.ConditionNoneSelected"));
+    return;
+  }
+  if (!isProviderConfigured()) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+    return;
+  }
+
+  try {
+    const sourceBase64 = await loadImageAsBase64(sourcePath);
+    const results = await runGenerationTask(game.i18n.localize("NANOBANANA.TokenGenerating"), async (signal) => {
+      const images = [];
+      for (const { key, prompt } of choice.conditions) {
+        const generated = await sendImg2Img(sourceBase64, { prompt, model: choice.model, signal });
+        images.push(choice.removeBackground ? await removeBackground(generated) : generated);
+      }
+      return images;
+    });
+
+    const accepted = await showContactSheet({
+      title: `${game.i18n.localize("NANOBANANA.ConditionTitle")}: ${actor.name}`,
+      hint: game.i18n.localize("NANOBANANA.ConditionReviewHint"),
+      items: choice.conditions.map(({ key }, idx) => ({
+        base64: results[idx],
+        label: game.i18n.localize(CONDITION_PRESETS[key].label),
+        thumbSrc: sourcePath,
+      })),
+    });
+    if (!accepted?.length) return;
+
+    const update = {};
+    for (const index of accepted) {
+      const { key, prompt } = choice.conditions[index];
+      const path = await uploadImage(results[index], `nanobanana-condition-${key}`);
+      update[`flags.${MODULE_ID}.conditionTokens.${key}`] = { path, prompt, model: choice.model, timestamp: Date.now() };
+    }
+    // The active GM's updateActor hook switches the placed tokens
+    await actor.update(update);
+    ui.notifications.info(game.i18n.format("NANOBANANA.ConditionSuccess", { count: accepted.length }));
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return;
+    }
+    console.error(`${MODULE_ID} | Condition token error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+  }
+}
+
+/**
+ * The condition that currently applies to an actor, among those it has a
+ * token variant for.
+ * @param {Actor} actor
+ * @returns {string|null} Key of CONDITION_PRESETS
+ */
+export function getActiveCondition(actor) {
+  const variants = actor?.getFlag(MODULE_ID, "conditionTokens");
+  if (!variants) return null;
+
+  // The HP attribute may hold {value, max} or just the current value
+  const hp = foundry.utils.getProperty(actor, getSetting("conditionHpPath"));
+  const value = typeof hp === "number" ? hp : Number(hp?.value ?? NaN);
+  const max = Number(hp?.max);
+  const threshold = getSetting("conditionBloodiedThreshold") / 100;
+
+  for (const [key, preset] of Object.entries(CONDITION_PRESETS)) {
+    if (!variants[key]) continue;
+    if (preset.statuses.some((status) => actor.statuses?.has(status))) return key;
+    if (!Number.isFinite(value)) continue;
+    if (preset.hp === "down" && value <= 0) return key;
+    if (preset.hp === "bloodied" && max > 0 && value > 0 && value / max <= threshold) return key;
+  }
+  return null;
+}
+
+/**
+ * Switch an actor's placed tokens to the variant of its active condition, or
+ * back to the image they showed before. Does nothing on clients other than
+ * the active GM's.
+ *
+ * One change can fire several hooks (actor, effect and token updates), so the
+ * refreshes of an actor are queued and run one after another, each on the
+ * state the previous one left behind.
+ * @param {Actor} actor
+ * @returns {Promise<void>}
+ */
+export function refreshConditionTokens(actor) {
+  if (!actor || game.users.activeGM?.id !== game.user.id) return Promise.resolve();
+  // Most actors have no variants and no token showing one
+  if (
+    !actor.getFlag(MODULE_ID, "conditionTokens") &&
+    !_placedTokens(actor).some((token) => token.getFlag(MODULE_ID, "conditionBase"))
+  ) {
+    return Promise.resolve();
+  }
+
+  const key = actor.uuid;
+  const refresh = (_refreshQueue.get(key) ?? Promise.resolve())
+    // Synthetic actors may be rebuilt while queued, so the current one is looked up
+    .then(() => _refreshTokens(fromUuidSync(key) ?? actor))
+    .catch((err) => console.error(`${MODULE_ID} | Condition token refresh error:`, err));
+  _refreshQueue.set(key, refresh);
+  refresh.then(() => {
+    if (_refreshQueue.get(key) === refresh) _refreshQueue.delete(key);
+  });
+  return refresh;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Apply the active condition of an actor to its placed tokens. The condition
+ * and its variant are read once, so every token gets the same state.
+ */
+async function _refreshTokens(actor) {
+  const variants = actor.getFlag(MODULE_ID, "conditionTokens") ?? {};
+  const condition = getActiveCondition(actor);
+  const variant = condition ? variants[condition] : null;
+
+  for (const token of _placedTokens(actor)) {
+    const base = token.getFlag(MODULE_ID, "conditionBase");
+    // Ring subjects are shown instead of the texture, so that is what is swapped
+    const field = base?.field ?? (token.ring?.enabled && token.ring.subject?.texture ? "ring.subject.texture" : "texture.src");
+    const shown = foundry.utils.getProperty(token, field);
+
+    if (variant) {
+      if (shown === variant.path) continue;
+      await token.update({
+        [field]: variant.path,
+        [`flags.${MODULE_ID}.conditionBase`]: base ?? { field, path: shown },
+      });
+    } else if (base) {
+      await token.update({
+        [base.field]: base.path,
+        [`flags.${MODULE_ID}.-=conditionBase`]: null,
+      });
+    }
+  }
+}
+
+/**
+ * Token image the variants are generated from. Wildcard token sets have no
+ * single image, so a placed token's image is used for those.
+ * @returns {string|null}
+ */
+function _conditionSource(actor) {
+  let { path } = getActorTokenImage(actor);
+  if (path?.includes("*")) path = _placedTokens(actor)[0]?.texture.src ?? null;
+  if (!path || path === "icons/svg/mystery-man.svg") return null;
+  return path;
+}
+
+/**
+ * Placed tokens of an actor: its own token for a synthetic (unlinked) actor,
+ * otherwise the linked tokens in every scene, from Foundry's own index.
+ * @returns {TokenDocument[]}
+ */
+function _placedTokens(actor) {
+  if (actor.isToken) return [actor.token];
+  return actor.getDependentTokens({ linked: true });
+}
+
+/**
+ * Show the conditions with their prompts and current variants.
+ * @returns {Promise<{action: "generate", conditions: Array<{key: string, prompt: string}>,
+ *   model: string, removeBackground: boolean}|{action: "clear"}|null>}
+ */
+async function _showConditionDialog(actor, sourcePath) {
+  const variants = actor.getFlag(MODULE_ID, "conditionTokens") ?? {};
+  const currentModel = getDefaultModel();
+  const modelOptions = Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
+    .join("");
+
+  const conditionsHtml = Object.entries(CONDITION_PRESETS)
+    .map(
+      ([key, preset]) => `
+        <div class="nanobanana-condition">
+          <label class="checkbox">
+            <input type="checkbox" name="condition-${key}" ${variants[key] ? "" : "checked"}/>
+            ${game.i18n.localize(preset.label)}
+          </label>
+          ${variants[key] ? `<img src="${escapeHtml(variants[key].path)}" alt="" data-tooltip="${game.i18n.localize("NANOBANANA.ConditionCurrent")}"/>` : ""}
+          <textarea name="prompt-${key}">${escapeHtml(variants[key]?.prompt ?? preset.prompt)}</textarea>
+        </div>`
+    )
+    .join("");
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-portrait-dialog nanobanana-condition-dialog">
+      <div class="form-group">
+        <div class="preview-container">
+          <img src="${escapeHtml(sourcePath)}" alt="Token"/>
+          <div class="preview-label">${escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.TokenLabel")}</div>
+        </div>
+      </div>
+      <p class="hint">${game.i18n.localize("NANOBANANA.ConditionHint")}</p>
+      <div class="form-group stacked">${conditionsHtml}</div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>
+          <input type="checkbox" name="removeBackground" checked />
+          ${game.i18n.localize("NANOBANANA.TokenGenRemoveBg")}
+        </label>
+      </div>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form =
+      dialogRef?.element?.querySelector?.("form") ??
+      document.querySelector(".nanobanana-condition-dialog");
+    return {
+      action: "generate",
+      conditions: Object.entries(CONDITION_PRESETS)
+        .filter(([key]) => form?.querySelector(`[name="condition-${key}"]`)?.checked)
+        .map(([key, preset]) => ({
+          key,
+          prompt: form.querySelector(`[name="prompt-${key}"]`)?.value?.trim() || preset.prompt,
+        })),
+      model: form?.querySelector('[name="model"]')?.value || currentModel,
+      removeBackground: form?.querySelector('[name="removeBackground"]')?.checked ?? false,
+    };
+  };
+
+  return new Promise((resolve) => {
+    const buttons = [
+      {
+        action: "generate",
+        label: game.i18n.localize("NANOBANANA.DialogGenerate"),
+        icon: "fas fa-magic",
+        default: true,
+        callback: (event, button, dialogRef) => resolve(readForm(dialogRef)),
+      },
+      {
+        action: "cancel",
+        label: game.i18n.localize("NANOBANANA.DialogCancel"),
+        icon: "fas fa-times",
+        callback: () => resolve(null),
+      },
+    ];
+    if (Object.keys(variants).length) {
+      buttons.splice(1, 0, {
+        action: "clear",
+        label: game.i18n.localize("NANOBANANA.ConditionClear"),
+        icon: "fas fa-trash",
+        callback: () => resolve({ action: "clear" }),
+      });
+    }
+
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: `${game.i18n.localize("NANOBANANA.ConditionTitle")}: ${actor.name}` },
+      position: { width: 480 },
+      content,
+      buttons,
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
@@ -3,19 +3,43 @@
  * Shows a dialog for the user to input generation parameters.
  */
 
-import { getSetting } from "./settings.js";
-import { NANOBANANA_MODELS } from "./api.js";
+import { getModelChoices, getDefaultModel } from "./api.js";
+import { canvasToBase64, isCanvasBlank } from "./image.js";
+import { CAPTURE_LAYERS } from "./capture.js";
+import { OUTPUT_MODES } from "./background.js";
+
+/** Maximum number of variants that can be requested at once. */
+const MAX_VARIANTS = 4;
 
 /**
  * Show the prompt dialog with a preview of the captured region.
  * @param {string} previewBase64 - Base64-encoded preview image
  * @param {object} rect - The capture rectangle (for display info)
- * @returns {Promise<object|null>} The dialog result or null if cancelled
+ * @param {object} [options]
+ * @param {number} [options.batchSize=1] - Number of areas the prompt will be applied to.
+ *   Batches have no inpainting mask and no editing session, since both are tied
+ *   to the single previewed area.
+ * @param {Object<string, boolean>} [options.layers] - Capture layers used for the preview
+ * @param {function(Object<string, boolean>): Promise<string>} [options.recapture] - Captures
+ *   the region again with other layers; without it the layer toggles are not shown
+ * @param {string|null} [options.output] - Preselected output mode (see OUTPUT_MODES);
+ *   without it the output choice is not shown
+ * @returns {Promise<object|null>} The dialog result or null if cancelled. `mode` is
+ *   "generate" for a single generation or "session" for a multi-turn editing session.
+ *   `mask` is a base64 alpha mask of the painted area, or null to edit the whole region.
+ *   `capture` and `layers` are the latest preview image and the layers it was captured with.
+ *   `output` is the chosen output mode, or null when none was offered.
  */
-export async function showPromptDialog(previewBase64, rect) {
-  const currentModel = getSetting("model") || "gemini-2.5-flash-image";
+export async function showPromptDialog(
+  previewBase64,
+  rect,
+  { batchSize = 1, layers = {}, recapture = null, output = null } = {}
+) {
+  const currentModel = getDefaultModel();
+  const isBatch = batchSize > 1;
+  const capture = { base64: previewBase64, layers };
 
-  const modelOptions = Object.entries(NANOBANANA_MODELS)
+  const modelOptions = Object.entries(getModelChoices())
     .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
     .join("");
 
@@ -23,10 +47,34 @@ export async function showPromptDialog(previewBase64, rect) {
     <form class="nanobanana-dialog">
       <div class="form-group">
         <div class="preview-container">
-          <img src="data:image/png;base64,${previewBase64}" alt="Captured Region"/>
+          <div class="nanobanana-mask-stage">
+            <img src="data:image/png;base64,${previewBase64}" alt="Captured Region"/>
+            ${isBatch ? "" : `<canvas class="nanobanana-mask-canvas"></canvas>`}
+          </div>
           <div class="preview-label">${Math.round(rect.width)} × ${Math.round(rect.height)} px</div>
         </div>
       </div>
+      ${isBatch ? `<p class="hint">${game.i18n.format("NANOBANANA.BatchHint", { count: batchSize })}</p>` : `
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.MaskLabel")}</label>
+        <div class="nanobanana-mask-toolbar">
+          <label><input type="radio" name="maskTool" value="brush" checked/> <i class="fas fa-paintbrush"></i> ${game.i18n.localize("NANOBANANA.MaskBrush")}</label>
+          <label><input type="radio" name="maskTool" value="eraser"/> <i class="fas fa-eraser"></i> ${game.i18n.localize("NANOBANANA.MaskEraser")}</label>
+          <input type="range" name="brushSize" min="4" max="200" value="40" title="${game.i18n.localize("NANOBANANA.MaskBrushSize")}"/>
+          <button type="button" data-mask-action="clear"><i class="fas fa-trash"></i> ${game.i18n.localize("NANOBANANA.MaskClear")}</button>
+        </div>
+        <p class="hint">${game.i18n.localize("NANOBANANA.MaskHint")}</p>
+      </div>`}
+      ${recapture ? `
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.CaptureLayersLabel")}</label>
+        <div class="nanobanana-capture-layers">
+          ${Object.entries(CAPTURE_LAYERS)
+            .map(([name, { label }]) => `
+          <label><input type="checkbox" data-layer="${name}" ${layers[name] ? "checked" : ""}/> ${game.i18n.localize(label)}</label>`)
+            .join("")}
+        </div>
+      </div>` : ""}
       <div class="form-group">
         <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
         <select name="model">${modelOptions}</select>
@@ -35,6 +83,19 @@ export async function showPromptDialog(previewBase64, rect) {
         <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
         <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.DialogPromptPlaceholder")}"></textarea>
       </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogVariantsLabel")}</label>
+        <input type="number" name="variants" value="1" min="1" max="${MAX_VARIANTS}" step="1"/>
+      </div>
+      ${output ? `
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogOutputLabel")}</label>
+        <select name="output">
+          ${Object.entries(OUTPUT_MODES)
+            .map(([id, label]) => `<option value="${id}" ${id === output ? "selected" : ""}>${game.i18n.localize(label)}</option>`)
+            .join("")}
+        </select>
+      </div>` : ""}
     </form>
   `;
 
@@ -51,54 +112,17 @@ export async function showPromptDialog(previewBase64, rect) {
           icon: "fas fa-magic",
           default: true,
           callback: (event, button, dialogRef) => {
-            let prompt, model;
-
-            // Foundry VTT v13 DialogV2 passes FormDataExtended as 3rd arg
-            if (dialogRef?.object) {
-              prompt = dialogRef.object.prompt;
-              model = dialogRef.object.model;
-            } else if (dialogRef?.querySelector) {
-              // Older API where 3rd arg is an HTMLElement
-              const form = dialogRef.querySelector("form") ?? dialogRef.closest?.(".dialog-content")?.querySelector("form");
-              if (form) {
-                prompt = form.querySelector('[name="prompt"]')?.value;
-                model = form.querySelector('[name="model"]')?.value;
-              }
-            } else if (dialogRef?.element) {
-              // Foundry VTT v13: 3rd arg is the DialogV2 instance
-              const el = dialogRef.element;
-              const form = el.querySelector?.("form");
-              if (form) {
-                prompt = form.querySelector('[name="prompt"]')?.value;
-                model = form.querySelector('[name="model"]')?.value;
-              }
-            }
-
-            // DOM fallback: find our dialog form directly in the document
-            if (prompt === undefined || prompt === null) {
-              const forms = document.querySelectorAll(".nanobanana-dialog");
-              for (const f of forms) {
-                const p = f.querySelector('[name="prompt"]')?.value;
-                if (p !== undefined) {
-                  prompt = p;
-                  model = f.querySelector('[name="model"]')?.value;
-                  break;
-                }
-              }
-            }
-
-            prompt = typeof prompt === "string" ? prompt.trim() : "";
-            if (!prompt) {
-              ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
-              resolve(null);
-              return;
-            }
-            resolve({
-              prompt,
-              model: model || currentModel,
-            });
+            resolve(_collectPromptResult(dialogRef, currentModel, "generate", capture, output));
           },
         },
+        ...(isBatch ? [] : [{
+          action: "session",
+          label: game.i18n.localize("NANOBANANA.SessionStart"),
+          icon: "fas fa-comments",
+          callback: (event, button, dialogRef) => {
+            resolve(_collectPromptResult(dialogRef, currentModel, "session", capture, output));
+          },
+        }]),
         {
           action: "cancel",
           label: game.i18n.localize("NANOBANANA.DialogCancel"),
@@ -108,6 +132,192 @@ export async function showPromptDialog(previewBase64, rect) {
       ],
       close: () => resolve(null),
     });
-    dialog.render(true);
+    dialog.render(true).then(() => {
+      _wireMaskEditor(dialog.element);
+      if (recapture) _wireCaptureLayers(dialog.element, capture, recapture);
+      _wireSessionOutput(dialog.element);
+    });
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read and validate the prompt dialog form. Warns and returns null when the
+ * prompt is empty.
+ */
+function _collectPromptResult(dialogRef, currentModel, mode, capture, output) {
+  const values = _readPromptForm(dialogRef);
+
+  const prompt = typeof values.prompt === "string" ? values.prompt.trim() : "";
+  if (!prompt) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+    return null;
+  }
+  // An empty mask means the whole region may change
+  const maskCanvas = _findPromptForm(dialogRef)?.querySelector(".nanobanana-mask-canvas");
+  const mask = maskCanvas && !isCanvasBlank(maskCanvas) ? canvasToBase64(maskCanvas) : null;
+
+  return {
+    mode,
+    prompt,
+    model: values.model || currentModel,
+    variants: Math.clamp(Math.round(Number(values.variants) || 1), 1, MAX_VARIANTS),
+    mask,
+    capture: capture.base64,
+    layers: capture.layers,
+    output: output ? values.output || output : null,
+  };
+}
+
+/**
+ * Extract the raw form values from a DialogV2 callback reference.
+ * Handles multiple Foundry VTT v13 DialogV2 callback signatures.
+ */
+function _readPromptForm(dialogRef) {
+  const fields = ["prompt", "model", "variants", "output"];
+
+  // Foundry VTT v13 DialogV2 passes FormDataExtended as 3rd arg
+  if (dialogRef?.object) {
+    return Object.fromEntries(fields.map((name) => [name, dialogRef.object[name]]));
+  }
+
+  const form = _findPromptForm(dialogRef);
+  return Object.fromEntries(
+    fields.map((name) => [name, form?.querySelector(`[name="${name}"]`)?.value])
+  );
+}
+
+/**
+ * Find the prompt dialog's form element from a DialogV2 callback reference.
+ */
+function _findPromptForm(dialogRef) {
+  let form;
+  if (dialogRef?.querySelector) {
+    // Older API where 3rd arg is an HTMLElement
+    form = dialogRef.querySelector("form") ?? dialogRef.closest?.(".dialog-content")?.querySelector("form");
+  } else if (dialogRef?.element) {
+    // Foundry VTT v13: 3rd arg is the DialogV2 instance
+    form = dialogRef.element.querySelector?.("form");
+  }
+
+  // DOM fallback: find our dialog form directly in the document
+  return form ?? [...document.querySelectorAll(".nanobanana-dialog")]
+    .find((f) => f.querySelector('[name="prompt"]'));
+}
+
+/**
+ * Disable the Start Session button while the background output is chosen:
+ * sessions are saved on the tile they place and resumed from it.
+ */
+function _wireSessionOutput(element) {
+  const select = element?.querySelector?.('.nanobanana-dialog [name="output"]');
+  const button = element?.querySelector?.('[data-action="session"]');
+  if (!select || !button) return;
+
+  const update = () => {
+    const background = select.value === "background";
+    button.disabled = background;
+    button.dataset.tooltip = background ? game.i18n.localize("NANOBANANA.SessionNoBackground") : "";
+  };
+  select.addEventListener("change", update);
+  update();
+}
+
+/**
+ * Enable brush/eraser painting of the inpainting mask on top of the preview.
+ * The mask canvas uses the captured image's pixel size; strokes are drawn
+ * opaque and the canvas itself is shown semi-transparent.
+ */
+function _wireMaskEditor(element) {
+  const form = element?.querySelector?.(".nanobanana-dialog");
+  const img = form?.querySelector(".nanobanana-mask-stage img");
+  const maskCanvas = form?.querySelector(".nanobanana-mask-canvas");
+  if (!img || !maskCanvas) return;
+
+  const sizeCanvas = () => {
+    maskCanvas.width = img.naturalWidth;
+    maskCanvas.height = img.naturalHeight;
+  };
+  if (img.complete) sizeCanvas();
+  else img.addEventListener("load", sizeCanvas, { once: true });
+
+  const ctx = maskCanvas.getContext("2d");
+  let lastPoint = null;
+
+  const toCanvasPoint = (event) => {
+    const bounds = maskCanvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - bounds.left) / bounds.width) * maskCanvas.width,
+      y: ((event.clientY - bounds.top) / bounds.height) * maskCanvas.height,
+      scale: maskCanvas.width / bounds.width,
+    };
+  };
+
+  const paint = (point) => {
+    const tool = form.querySelector('[name="maskTool"]:checked')?.value ?? "brush";
+    const size = Number(form.querySelector('[name="brushSize"]')?.value ?? 40) * point.scale;
+    const from = lastPoint ?? point;
+
+    ctx.globalCompositeOperation = tool === "eraser" ? "destination-out" : "source-over";
+    ctx.strokeStyle = "#ff6600";
+    ctx.lineWidth = size;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    lastPoint = point;
+  };
+
+  maskCanvas.addEventListener("pointerdown", (event) => {
+    maskCanvas.setPointerCapture(event.pointerId);
+    lastPoint = null;
+    paint(toCanvasPoint(event));
+  });
+  maskCanvas.addEventListener("pointermove", (event) => {
+    if (lastPoint) paint(toCanvasPoint(event));
+  });
+  const stop = () => {
+    lastPoint = null;
+  };
+  maskCanvas.addEventListener("pointerup", stop);
+  maskCanvas.addEventListener("pointercancel", stop);
+
+  form.querySelector('[data-mask-action="clear"]')?.addEventListener("click", (event) => {
+    event.preventDefault();
+    ctx.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
   });
 }
+
+/**
+ * Re-capture the preview whenever a capture layer is toggled. The inputs are
+ * disabled while capturing so the preview always matches the checked layers.
+ */
+function _wireCaptureLayers(element, capture, recapture) {
+  const form = element?.querySelector?.(".nanobanana-dialog");
+  const img = form?.querySelector(".nanobanana-mask-stage img");
+  const inputs = [...(form?.querySelectorAll("[data-layer]") ?? [])];
+  if (!img || !inputs.length) return;
+
+  for (const input of inputs) {
+    input.addEventListener("change", async () => {
+      const layers = Object.fromEntries(inputs.map((i) => [i.dataset.layer, i.checked]));
+      inputs.forEach((i) => (i.disabled = true));
+      try {
+        capture.base64 = await recapture(layers);
+        capture.layers = layers;
+        img.src = `data:image/png;base64,${capture.base64}`;
+      } catch (err) {
+        console.error("nanobanana-map-editor | Capture error:", err);
+        ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorCaptureFailed"));
+        input.checked = !input.checked;
+      } finally {
+        inputs.forEach((i) => (i.disabled = false));
+      }
+    });
+  }
+}
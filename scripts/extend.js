@@ -0,0 +1,337 @@
+/**
+ * NanoBanana Map Editor - Extend Scene
+ * Outpainting: grows the scene in one direction and lets the model continue
+ * the map into the new area.
+ *
+ * A strip along the chosen edge is captured and placed next to a blank area
+ * the size of the extension; the blank area is sent as the inpainting mask.
+ * The generated part is written into an enlarged copy of the background image
+ * at its native resolution, and every placeable is moved so that it stays
+ * aligned with the old map content. Background versions, scene variants and
+ * the flatten snapshot are dropped, since those images no longer fit the scene.
+ */
+
+import { getModelChoices, getDefaultModel, isProviderConfigured, isAbortError } from "./api.js";
+import { captureCanvasRegion, CAPTURE_LAYERS } from "./capture.js";
+import { renderSceneBackground, MAX_CANVAS_SIDE } from "./background.js";
+import { loadBase64Image, createCanvas, canvasToBase64, cropToSelection } from "./image.js";
+import { matchSceneResolution } from "./resolution.js";
+import { uploadImage } from "./portrait.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/**
+ * Directions the scene can grow in.
+ */
+export const EXTEND_DIRECTIONS = {
+  north: "NANOBANANA.ExtendNorth",
+  east: "NANOBANANA.ExtendEast",
+  south: "NANOBANANA.ExtendSouth",
+  west: "NANOBANANA.ExtendWest",
+};
+
+/**
+ * Instruction sent ahead of the user's prompt.
+ */
+const OUTPAINT_INSTRUCTION =
+  "This is the edge of a top-down map. Continue the map into the blank gray area so that it extends the " +
+  "existing content seamlessly, with the same art style, lighting, perspective and scale. " +
+  "Keep the existing part of the map unchanged.";
+
+/** Fill of the blank area in the model input. */
+const BLANK_FILL = "#808080";
+
+/** Placeable document types moved along with the map content. */
+const PLACEABLE_TYPES = [
+  "Token", "Tile", "Wall", "AmbientLight", "AmbientSound", "Note", "Drawing", "MeasuredTemplate", "Region",
+];
+
+/**
+ * Ask for a direction and size, generate the new map area, and grow the scene.
+ * @param {object} options
+ * @param {function(object): Promise<{base64: string, prompt: string}|null>} options.generate -
+ *   Generates and reviews an edit; called with `{title, capturedBase64, captureRect, prompt,
+ *   model, mask}` and resolves with the accepted image covering `captureRect`, or null
+ * @returns {Promise<void>}
+ */
+export async function extendScene({ generate }) {
+  const scene = canvas.scene;
+  if (!scene) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoScene"));
+    return;
+  }
+  if (!isProviderConfigured()) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+    return;
+  }
+
+  const choice = await _showExtendDialog(scene);
+  if (!choice) return;
+
+  try {
+    const added = choice.squares * scene.grid.size;
+    const { sceneX, sceneY, sceneWidth, sceneHeight } = scene.dimensions;
+    const sceneRect = { x: sceneX, y: sceneY, width: sceneWidth, height: sceneHeight };
+    const { area, strip } = _extensionRects(sceneRect, choice.direction, added);
+    const frame = _union(area, strip);
+
+    // 1. Capture the map along the edge (background, drawings and generated
+    //    tiles only) and put it next to the blank extension
+    const stripBase64 = await captureCanvasRegion(
+      strip,
+      Object.fromEntries(Object.keys(CAPTURE_LAYERS).map((name) => [name, false]))
+    );
+    const { input, mask } = await _buildOutpaintInput(stripBase64, strip, area, frame);
+
+    // 2. Generate the continuation and let the user review it
+    const result = await generate({
+      title: game.i18n.localize("NANOBANANA.ExtendTitle"),
+      capturedBase64: input,
+      captureRect: frame,
+      prompt: choice.prompt ? `${OUTPAINT_INSTRUCTION}\n\n${choice.prompt}` : OUTPAINT_INSTRUCTION,
+      model: choice.model,
+      mask,
+    });
+    if (!result) return;
+
+    // 3. Write the new area into an enlarged background
+    ui.notifications.info(game.i18n.localize("NANOBANANA.ExtendApplying"));
+    const patch = await matchSceneResolution(await cropToSelection(result.base64, frame, area), area);
+    const background = await _extendBackground(scene, choice.direction, added, patch);
+    const path = await uploadImage(background, "nanobanana-extend");
+
+    // 4. Grow the scene and keep the placeables on the old content
+    const width = scene.width + (["east", "west"].includes(choice.direction) ? added : 0);
+    const height = scene.height + (["north", "south"].includes(choice.direction) ? added : 0);
+    const next = scene.clone({ width, height }).dimensions;
+    const dx = next.sceneX - sceneX + (choice.direction === "west" ? added : 0);
+    const dy = next.sceneY - sceneY + (choice.direction === "north" ? added : 0);
+
+    const update = {
+      width,
+      height,
+      "background.src": path,
+      [`flags.${MODULE_ID}.-=backgroundVersions`]: null,
+      [`flags.${MODULE_ID}.-=backgroundVersion`]: null,
+      [`flags.${MODULE_ID}.-=flattenSnapshot`]: null,
+      [`flags.${MODULE_ID}.-=sceneVariants`]: null,
+      [`flags.${MODULE_ID}.-=sceneVariant`]: null,
+    };
+    if (scene.initial?.x != null) {
+      Object.assign(update, { "initial.x": scene.initial.x + dx, "initial.y": scene.initial.y + dy });
+    }
+    await scene.update(update);
+    if (dx || dy) await _shiftPlaceables(scene, dx, dy);
+
+    ui.notifications.info(game.i18n.localize("NANOBANANA.ExtendSuccess"));
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return;
+    }
+    console.error(`${MODULE_ID} | Extend error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Ask for the direction, size in grid squares, model and an optional prompt.
+ * The extension is limited to the largest canvas the browser can allocate.
+ * @param {Scene} scene - The scene to extend
+ * @returns {Promise<{direction: string, squares: number, model: string, prompt: string}|null>}
+ */
+async function _showExtendDialog(scene) {
+  const maxSquares = Math.max(1, Math.floor(MAX_CANVAS_SIDE / scene.grid.size));
+  const currentModel = getDefaultModel();
+  const modelOptions = Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
+    .join("");
+  const directionOptions = Object.entries(EXTEND_DIRECTIONS)
+    .map(([id, label]) => `<option value="${id}">${game.i18n.localize(label)}</option>`)
+    .join("");
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-extend-dialog">
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.ExtendDirectionLabel")}</label>
+        <select name="direction">${directionOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.ExtendSquaresLabel")}</label>
+        <input type="number" name="squares" value="${Math.min(5, maxSquares)}" min="1" max="${maxSquares}" step="1"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
+        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.ExtendPromptPlaceholder")}"></textarea>
+      </div>
+      <p class="hint">${game.i18n.localize("NANOBANANA.ExtendHint")}</p>
+    </form>
+  `;
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: game.i18n.localize("NANOBANANA.ExtendTitle") },
+      position: { width: 420 },
+      content,
+      buttons: [
+        {
+          action: "extend",
+          label: game.i18n.localize("NANOBANANA.DialogGenerate"),
+          icon: "fas fa-magic",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            const form =
+              dialogRef?.element?.querySelector?.("form") ??
+              document.querySelector(".nanobanana-extend-dialog");
+            const value = (name) => form?.querySelector(`[name="${name}"]`)?.value;
+            resolve({
+              direction: value("direction") ?? "north",
+              squares: Math.clamp(Math.round(Number(value("squares")) || 1), 1, maxSquares),
+              model: value("model") || currentModel,
+              prompt: value("prompt")?.trim() ?? "",
+            });
+          },
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("NANOBANANA.DialogCancel"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
+
+/**
+ * The new area outside the scene rectangle and the strip of existing map
+ * along the same edge that is sent as context (as deep as the new area, at
+ * most the whole scene).
+ * @returns {{area: object, strip: object}} Rectangles in current canvas coordinates
+ */
+function _extensionRects(rect, direction, added) {
+  const depthX = Math.min(added, rect.width);
+  const depthY = Math.min(added, rect.height);
+  switch (direction) {
+    case "north":
+      return {
+        area: { x: rect.x, y: rect.y - added, width: rect.width, height: added },
+        strip: { x: rect.x, y: rect.y, width: rect.width, height: depthY },
+      };
+    case "south":
+      return {
+        area: { x: rect.x, y: rect.y + rect.height, width: rect.width, height: added },
+        strip: { x: rect.x, y: rect.y + rect.height - depthY, width: rect.width, height: depthY },
+      };
+    case "west":
+      return {
+        area: { x: rect.x - added, y: rect.y, width: added, height: rect.height },
+        strip: { x: rect.x, y: rect.y, width: depthX, height: rect.height },
+      };
+    default:
+      return {
+        area: { x: rect.x + rect.width, y: rect.y, width: added, height: rect.height },
+        strip: { x: rect.x + rect.width - depthX, y: rect.y, width: depthX, height: rect.height },
+      };
+  }
+}
+
+/**
+ * Smallest rectangle containing both rectangles.
+ */
+function _union(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+/**
+ * Build the model input (captured strip next to a blank area) and the
+ * inpainting mask that marks the blank area as editable.
+ * @returns {Promise<{input: string, mask: string}>}
+ */
+async function _buildOutpaintInput(stripBase64, strip, area, frame) {
+  const stripImage = await loadBase64Image(stripBase64);
+  const scaleX = stripImage.naturalWidth / strip.width;
+  const scaleY = stripImage.naturalHeight / strip.height;
+
+  const input = createCanvas(frame.width * scaleX, frame.height * scaleY);
+  input.ctx.fillStyle = BLANK_FILL;
+  input.ctx.fillRect(0, 0, input.canvas.width, input.canvas.height);
+  input.ctx.drawImage(stripImage, (strip.x - frame.x) * scaleX, (strip.y - frame.y) * scaleY);
+
+  const mask = createCanvas(input.canvas.width, input.canvas.height);
+  mask.ctx.fillStyle = "#ffffff";
+  mask.ctx.fillRect((area.x - frame.x) * scaleX, (area.y - frame.y) * scaleY, area.width * scaleX, area.height * scaleY);
+
+  return { input: canvasToBase64(input.canvas), mask: canvasToBase64(mask.canvas) };
+}
+
+/**
+ * Enlarge the background image by `added` scene units in a direction and draw
+ * the generated patch into the new area, at the background's pixel density.
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+async function _extendBackground(scene, direction, added, patchBase64) {
+  const [{ canvas: old }, patch] = await Promise.all([renderSceneBackground(scene), loadBase64Image(patchBase64)]);
+  const density = old.width / scene.dimensions.sceneWidth;
+  const grow = Math.round(added * density);
+  const horizontal = direction === "east" || direction === "west";
+
+  const { canvas, ctx } = createCanvas(old.width + (horizontal ? grow : 0), old.height + (horizontal ? 0 : grow));
+  const oldX = direction === "west" ? grow : 0;
+  const oldY = direction === "north" ? grow : 0;
+  ctx.drawImage(old, oldX, oldY);
+
+  const patchX = direction === "east" ? old.width : 0;
+  const patchY = direction === "south" ? old.height : 0;
+  ctx.drawImage(patch, patchX, patchY, horizontal ? grow : old.width, horizontal ? old.height : grow);
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Move every placeable of the scene by an offset.
+ * @param {Scene} scene
+ * @param {number} dx - Horizontal offset in canvas units
+ * @param {number} dy - Vertical offset in canvas units
+ */
+async function _shiftPlaceables(scene, dx, dy) {
+  const shiftPoints = (points) => points.map((v, i) => v + (i % 2 ? dy : dx));
+
+  for (const type of PLACEABLE_TYPES) {
+    const collection = scene.getEmbeddedCollection(type);
+    if (!collection?.size) continue;
+
+    const updates = collection.map((doc) => {
+      if (type === "Wall") return { _id: doc.id, c: shiftPoints(doc.c) };
+      if (type === "Region") {
+        return {
+          _id: doc.id,
+          shapes: doc.shapes.map((shape) => {
+            const data = shape.toObject();
+            if (data.points) data.points = shiftPoints(data.points);
+            else Object.assign(data, { x: data.x + dx, y: data.y + dy });
+            return data;
+          }),
+        };
+      }
+      return { _id: doc.id, x: doc.x + dx, y: doc.y + dy };
+    });
+    await scene.updateEmbeddedDocuments(type, updates, { animate: false });
+  }
+}
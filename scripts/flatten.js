@@ -1,19 +1,40 @@
 /**
  * NanoBanana Map Editor - Flatten Tiles
- * Captures the entire map (including tiles), replaces the scene background
- * with the captured image, and removes all tiles.
+ * Composites a chosen set of tiles into the scene background image at its
+ * native resolution (see background.js), and removes the flattened tiles.
+ *
+ * Before the background changes, the previous background path and the data of
+ * the flattened tiles are saved in the scene flags ("flattenSnapshot"), so the
+ * last flatten can be restored with restoreLastFlatten().
  */
 
-import { captureFullScene } from "./capture.js";
+import { compositeSceneBackground } from "./background.js";
+import { uploadImage } from "./portrait.js";
+import { selectionFromDrawing, selectionFromRegion, selectionContains } from "./selection.js";
+import { escapeHtml } from "./html.js";
 
 const MODULE_ID = "nanobanana-map-editor";
 
 /**
- * Flatten all tiles into the scene background image.
- * 1. Captures the full scene canvas (background + all visible tiles).
- * 2. Uploads the captured image to the server.
- * 3. Updates the scene background to the captured image.
- * 4. Deletes all tiles from the scene.
+ * Which tiles a flatten includes.
+ */
+export const FLATTEN_SCOPES = {
+  all: "NANOBANANA.FlattenScopeAll",
+  selected: "NANOBANANA.FlattenScopeSelected",
+  generated: "NANOBANANA.FlattenScopeGenerated",
+  area: "NANOBANANA.FlattenScopeArea",
+};
+
+/**
+ * Flatten tiles into the scene background image.
+ * 1. Asks which tiles to flatten (all, selected, generated, or inside a
+ *    Drawing / Region).
+ * 2. Composites those tiles into the background image offline; lighting,
+ *    fog, grid and tokens are never included.
+ * 3. Uploads the new background to the server.
+ * 4. Saves a snapshot of the previous background and the flattened tiles.
+ * 5. Updates the scene background and deletes the flattened tiles. Tiles
+ *    outside the scope are kept.
  *
  * @returns {Promise<void>}
  */
@@ -23,60 +44,41 @@ export async function flattenTiles() {
     ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoScene"));
     return;
   }
+  if (!scene.tiles.size) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.FlattenNoTiles"));
+    return;
+  }
+
+  const choice = await _showScopeDialog(scene, "all");
+  if (!choice) return;
 
-  const tiles = scene.tiles.contents;
+  const tiles = _getScopedTiles(scene, choice);
   if (!tiles.length) {
     ui.notifications.warn(game.i18n.localize("NANOBANANA.FlattenNoTiles"));
     return;
   }
 
-  // Confirm before proceeding
-  const confirmed = await foundry.applications.api.DialogV2.confirm({
-    window: { title: game.i18n.localize("NANOBANANA.FlattenTitle") },
-    content: `<p>${game.i18n.format("NANOBANANA.FlattenConfirm", { count: tiles.length })}</p>`,
-    yes: { label: game.i18n.localize("NANOBANANA.FlattenExecute"), icon: "fas fa-layer-group" },
-    no: { label: game.i18n.localize("NANOBANANA.DialogCancel"), icon: "fas fa-times" },
-  });
-  if (!confirmed) return;
-
   try {
     ui.notifications.info(game.i18n.localize("NANOBANANA.FlattenCapturing"));
 
-    // 1. Capture the full scene
-    const imageBase64 = await captureFullScene();
-
-    // 2. Upload the captured image
-    const byteString = atob(imageBase64);
-    const ab = new ArrayBuffer(byteString.length);
-    const ia = new Uint8Array(ab);
-    for (let i = 0; i < byteString.length; i++) {
-      ia[i] = byteString.charCodeAt(i);
-    }
-    const blob = new Blob([ab], { type: "image/png" });
-    const timestamp = Date.now();
-    const filename = `nanobanana-flatten-${timestamp}.png`;
-    const file = new File([blob], filename, { type: "image/png" });
-
-    const uploadDir = MODULE_ID;
-    const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
-
-    try {
-      await FP.createDirectory("data", uploadDir);
-    } catch {
-      // Directory may already exist
-    }
+    // 1. Composite the background with exactly the flattened tiles
+    const imageBase64 = await compositeSceneBackground(scene, tiles);
 
-    const uploadResponse = await FP.upload("data", uploadDir, file);
-    if (!uploadResponse?.path) {
-      throw new Error("Failed to upload flattened image to server.");
-    }
+    // 2. Upload the new background
+    const path = await uploadImage(imageBase64, "nanobanana-flatten");
 
-    // 3. Replace scene background
-    await scene.update({ "background.src": uploadResponse.path });
+    // 3. Save a snapshot, then replace the scene background
+    await scene.update({
+      "background.src": path,
+      [`flags.${MODULE_ID}.flattenSnapshot`]: {
+        background: scene.background.src ?? null,
+        tiles: tiles.map((t) => t.toObject()),
+        timestamp: Date.now(),
+      },
+    });
 
-    // 4. Delete all tiles
-    const tileIds = tiles.map((t) => t.id);
-    await scene.deleteEmbeddedDocuments("Tile", tileIds);
+    // 4. Delete the flattened tiles
+    await scene.deleteEmbeddedDocuments("Tile", tiles.map((t) => t.id));
 
     ui.notifications.info(game.i18n.localize("NANOBANANA.FlattenSuccess"));
   } catch (err) {
@@ -86,3 +88,160 @@ export async function flattenTiles() {
     );
   }
 }
+
+/**
+ * Undo the last flatten of the current scene: put the previous background
+ * back and recreate the flattened tiles with their original IDs.
+ * @returns {Promise<void>}
+ */
+export async function restoreLastFlatten() {
+  const scene = canvas.scene;
+  if (!scene) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoScene"));
+    return;
+  }
+
+  const snapshot = scene.getFlag(MODULE_ID, "flattenSnapshot");
+  if (!snapshot) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.FlattenRestoreNone"));
+    return;
+  }
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("NANOBANANA.FlattenRestoreTitle") },
+    content: `<p>${game.i18n.format("NANOBANANA.FlattenRestoreConfirm", {
+      count: snapshot.tiles.length,
+      date: new Date(snapshot.timestamp).toLocaleString(game.i18n.lang),
+    })}</p>`,
+    yes: { label: game.i18n.localize("NANOBANANA.FlattenRestoreExecute"), icon: "fas fa-rotate-left" },
+    no: { label: game.i18n.localize("NANOBANANA.DialogCancel"), icon: "fas fa-times" },
+  });
+  if (!confirmed) return;
+
+  try {
+    await scene.update({ "background.src": snapshot.background });
+    // Tiles recreated since the flatten (e.g. by an earlier restore) are skipped
+    const missing = snapshot.tiles.filter((t) => !scene.tiles.has(t._id));
+    if (missing.length) await scene.createEmbeddedDocuments("Tile", missing, { keepId: true });
+    await scene.unsetFlag(MODULE_ID, "flattenSnapshot");
+
+    ui.notifications.info(game.i18n.localize("NANOBANANA.FlattenRestoreSuccess"));
+  } catch (err) {
+    console.error(`${MODULE_ID} | Flatten restore error:`, err);
+    ui.notifications.error(
+      game.i18n.format("NANOBANANA.FlattenFailed", { error: err.message })
+    );
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Ask which tiles to flatten.
+ * @param {Scene} scene
+ * @param {string} defaultScope - Preselected key of FLATTEN_SCOPES
+ * @returns {Promise<{scope: string, area: string}|null>} `area` is the UUID of the
+ *   Drawing or Region for the "area" scope
+ */
+async function _showScopeDialog(scene, defaultScope) {
+  const areas = [
+    ...scene.drawings.contents.map((d) => ({ uuid: d.uuid, label: `${game.i18n.localize("DOCUMENT.Drawing")}: ${d.text || d.id}` })),
+    ...scene.regions.contents.map((r) => ({ uuid: r.uuid, label: `${game.i18n.localize("DOCUMENT.Region")}: ${r.name}` })),
+  ];
+  const controlledArea =
+    canvas.drawings?.controlled[0]?.document.uuid ?? canvas.regions?.controlled[0]?.document.uuid;
+
+  const scopeHtml = Object.entries(FLATTEN_SCOPES)
+    .filter(([scope]) => scope !== "area" || areas.length)
+    .map(
+      ([scope, label]) => `
+        <label class="checkbox">
+          <input type="radio" name="scope" value="${scope}" ${scope === defaultScope ? "checked" : ""}/>
+          ${game.i18n.localize(label)}
+        </label>`
+    )
+    .join("");
+
+  const areaOptions = areas
+    .map((a) => `<option value="${a.uuid}" ${a.uuid === controlledArea ? "selected" : ""}>${escapeHtml(a.label)}</option>`)
+    .join("");
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-flatten-dialog">
+      <p>${game.i18n.localize("NANOBANANA.FlattenConfirm")}</p>
+      <div class="form-group stacked">
+        <label>${game.i18n.localize("NANOBANANA.FlattenScopeLabel")}</label>
+        ${scopeHtml}
+      </div>
+      ${areas.length ? `
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.FlattenAreaLabel")}</label>
+        <select name="area">${areaOptions}</select>
+      </div>` : ""}
+    </form>
+  `;
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: game.i18n.localize("NANOBANANA.FlattenTitle") },
+      position: { width: 420 },
+      content,
+      buttons: [
+        {
+          action: "flatten",
+          label: game.i18n.localize("NANOBANANA.FlattenExecute"),
+          icon: "fas fa-layer-group",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            const form =
+              dialogRef?.element?.querySelector?.("form") ??
+              document.querySelector(".nanobanana-flatten-dialog");
+            resolve({
+              scope: form?.querySelector('[name="scope"]:checked')?.value ?? defaultScope,
+              area: form?.querySelector('[name="area"]')?.value ?? null,
+            });
+          },
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("NANOBANANA.DialogCancel"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
+
+/**
+ * Tiles of the scene that fall in the chosen scope. Hidden tiles are never
+ * flattened, since they are not part of the captured image.
+ * @param {Scene} scene
+ * @param {{scope: string, area: string}} choice
+ * @returns {TileDocument[]}
+ */
+function _getScopedTiles(scene, { scope, area }) {
+  const tiles = scene.tiles.contents.filter((t) => !t.hidden);
+  switch (scope) {
+    case "selected": {
+      const controlled = new Set(canvas.tiles.controlled.map((t) => t.document.id));
+      return tiles.filter((t) => controlled.has(t.id));
+    }
+    case "generated":
+      return tiles.filter((t) => t.getFlag(MODULE_ID, "generated"));
+    case "area": {
+      const doc = area ? fromUuidSync(area) : null;
+      const selection = doc?.documentName === "Region" ? selectionFromRegion(doc) : doc ? selectionFromDrawing(doc) : null;
+      if (!selection) return [];
+      return tiles.filter((t) =>
+        selectionContains(selection, { x: t.x + t.width / 2, y: t.y + t.height / 2 })
+      );
+    }
+    default:
+      return tiles;
+  }
+}
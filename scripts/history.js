@@ -0,0 +1,272 @@
+/**
+ * NanoBanana Map Editor - Tile History
+ * History panel for generated tiles: switch between recorded versions,
+ * revert to the original map pixels, or regenerate with an edited prompt.
+ * A similar panel rolls the scene background back to an earlier version after
+ * edits were baked into it.
+ *
+ * The original pixels are rebuilt from the source capture stored on the tile,
+ * so they stay recoverable no matter how often the tile was regenerated.
+ */
+
+import { getModelChoices, getDefaultModel } from "./api.js";
+import { getSetting } from "./settings.js";
+import { cropToSelection } from "./image.js";
+import { loadImageAsBase64, uploadImage } from "./portrait.js";
+import { setTileVersion } from "./tile.js";
+import { setBackgroundVersion } from "./background.js";
+import { escapeHtml } from "./html.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Version index that stands for the original map pixels. */
+const ORIGINAL_VERSION = -1;
+
+/**
+ * Open the history panel of a generated tile and carry out the chosen action.
+ * @param {TileDocument} tile - The tile document
+ * @param {object} options
+ * @param {function(TileDocument, string, string): Promise<void>} options.regenerate -
+ *   Called with (tile, prompt, model) to generate a new version from the source capture
+ * @returns {Promise<void>}
+ */
+export async function openTileHistory(tile, { regenerate }) {
+  const choice = await _showHistoryDialog(tile);
+  if (!choice) return;
+
+  try {
+    if (choice.action === "regenerate") {
+      if (!choice.prompt) {
+        ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+        return;
+      }
+      await regenerate(tile, choice.prompt, choice.model);
+    } else if (choice.index === ORIGINAL_VERSION) {
+      await revertTileToOriginal(tile);
+      ui.notifications.info(game.i18n.localize("NANOBANANA.HistoryReverted"));
+    } else {
+      await setTileVersion(tile, choice.index);
+    }
+  } catch (err) {
+    console.error(`${MODULE_ID} | History error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+  }
+}
+
+/**
+ * Show the original map pixels on a tile again. The original image is cut
+ * from the stored source capture on first use, with the tile's selection
+ * shape and feather, and cached in the tile flags.
+ * @param {TileDocument} tile - The tile document
+ * @returns {Promise<TileDocument>}
+ */
+export async function revertTileToOriginal(tile) {
+  let original = tile.getFlag(MODULE_ID, "original");
+  if (!original) {
+    const { source, captureFrame, region, shape = null, feather } = tile.flags[MODULE_ID] ?? {};
+    if (!source || !captureFrame || !region) {
+      throw new Error(game.i18n.localize("NANOBANANA.HistoryNoSource"));
+    }
+    // Tiles placed before the feather was recorded used the current setting
+    const base64 = await cropToSelection(await loadImageAsBase64(source), captureFrame, region, {
+      shape,
+      feather: feather ?? (Number(getSetting("featherRadius")) || 0),
+    });
+    original = await uploadImage(base64, "nanobanana-original");
+  }
+  return tile.update({
+    "texture.src": original,
+    [`flags.${MODULE_ID}`]: { original, version: ORIGINAL_VERSION },
+  });
+}
+
+/**
+ * Open the background history of a scene and show the chosen version.
+ * @param {Scene} scene - The scene
+ * @returns {Promise<void>}
+ */
+export async function openBackgroundHistory(scene) {
+  const versions = scene.getFlag(MODULE_ID, "backgroundVersions") ?? [];
+  if (!versions.length) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.BackgroundHistoryNone"));
+    return;
+  }
+
+  const index = await _showBackgroundHistoryDialog(
+    versions,
+    scene.getFlag(MODULE_ID, "backgroundVersion") ?? versions.length - 1
+  );
+  if (index === null) return;
+
+  try {
+    await setBackgroundVersion(scene, index);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Background history error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Show the version list with a prompt box for regenerating.
+ * @returns {Promise<{action: string, index?: number, prompt?: string, model?: string}|null>}
+ */
+async function _showHistoryDialog(tile) {
+  const data = tile.flags[MODULE_ID] ?? {};
+  const versions = data.versions ?? [];
+  const current = data.version ?? versions.length - 1;
+  const hasSource = !!data.source;
+  const currentModel = data.model in getModelChoices() ? data.model : getDefaultModel();
+
+  const modelOptions = Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
+    .join("");
+
+  const originalHtml = hasSource
+    ? `
+        <label class="nanobanana-history-version">
+          <input type="radio" name="version" value="${ORIGINAL_VERSION}" ${current === ORIGINAL_VERSION ? "checked" : ""}/>
+          <img src="${escapeHtml(data.original ?? data.source)}" alt=""/>
+          <span class="title">${game.i18n.localize("NANOBANANA.HistoryOriginal")}</span>
+        </label>`
+    : "";
+
+  const versionsHtml = versions
+    .map(
+      (version, idx) => `
+        <label class="nanobanana-history-version">
+          <input type="radio" name="version" value="${idx}" ${idx === current ? "checked" : ""}/>
+          <img src="${escapeHtml(version.path)}" alt=""/>
+          <span class="title">#${idx + 1} · ${escapeHtml(version.model ?? "")} · ${new Date(version.timestamp).toLocaleString(game.i18n.lang)}</span>
+          <span class="prompt">${escapeHtml(version.prompt ?? "")}</span>
+        </label>`
+    )
+    .join("");
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-history-dialog">
+      <div class="form-group">
+        <div class="nanobanana-history-versions">${originalHtml}${versionsHtml}</div>
+      </div>
+      ${hasSource ? "" : `<p class="hint">${game.i18n.localize("NANOBANANA.HistoryNoSource")}</p>`}
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
+        <textarea name="prompt">${escapeHtml(data.prompt ?? "")}</textarea>
+      </div>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form =
+      dialogRef?.element?.querySelector?.("form") ??
+      document.querySelector(".nanobanana-history-dialog");
+    return {
+      index: Number(form?.querySelector('[name="version"]:checked')?.value ?? current),
+      prompt: form?.querySelector('[name="prompt"]')?.value?.trim() ?? "",
+      model: form?.querySelector('[name="model"]')?.value,
+    };
+  };
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: game.i18n.localize("NANOBANANA.HistoryTitle") },
+      position: { width: 520 },
+      content,
+      buttons: [
+        {
+          action: "switch",
+          label: game.i18n.localize("NANOBANANA.HistoryUseVersion"),
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            const { index } = readForm(dialogRef);
+            resolve({ action: "switch", index });
+          },
+        },
+        ...(hasSource ? [{
+          action: "regenerate",
+          label: game.i18n.localize("NANOBANANA.HistoryRegenerate"),
+          icon: "fas fa-rotate",
+          callback: (event, button, dialogRef) => {
+            const { prompt, model } = readForm(dialogRef);
+            resolve({ action: "regenerate", prompt, model });
+          },
+        }] : []),
+        {
+          action: "close",
+          label: game.i18n.localize("NANOBANANA.SessionClose"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
+
+/**
+ * Show the background versions of a scene. Versions without a prompt are
+ * backgrounds that were not baked by this module (e.g. the original map).
+ * @returns {Promise<number|null>} Index of the chosen version
+ */
+async function _showBackgroundHistoryDialog(versions, current) {
+  const versionsHtml = versions
+    .map(
+      (version, idx) => `
+        <label class="nanobanana-history-version">
+          <input type="radio" name="version" value="${idx}" ${idx === current ? "checked" : ""}/>
+          <img src="${escapeHtml(version.path ?? "")}" alt=""/>
+          <span class="title">#${idx + 1} · ${version.prompt === null
+            ? game.i18n.localize("NANOBANANA.BackgroundHistoryUntracked")
+            : escapeHtml(version.model ?? "")} · ${new Date(version.timestamp).toLocaleString(game.i18n.lang)}</span>
+          <span class="prompt">${escapeHtml(version.prompt ?? "")}</span>
+        </label>`
+    )
+    .join("");
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-history-dialog">
+      <div class="form-group">
+        <div class="nanobanana-history-versions">${versionsHtml}</div>
+      </div>
+    </form>
+  `;
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: game.i18n.localize("NANOBANANA.BackgroundHistoryTitle") },
+      position: { width: 520 },
+      content,
+      buttons: [
+        {
+          action: "switch",
+          label: game.i18n.localize("NANOBANANA.HistoryUseVersion"),
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            const form =
+              dialogRef?.element?.querySelector?.("form") ??
+              document.querySelector(".nanobanana-history-dialog");
+            resolve(Number(form?.querySelector('[name="version"]:checked')?.value ?? current));
+          },
+        },
+        {
+          action: "close",
+          label: game.i18n.localize("NANOBANANA.SessionClose"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * NanoBanana Map Editor - HTML Helpers
+ * Small helpers shared by the dialogs that build their content as HTML strings.
+ */
+
+import { getModelChoices, getDefaultModel } from "./api.js";
+
+/**
+ * Escape a string for safe insertion into HTML attributes/content.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Build the `<option>` list of the active provider's models.
+ * @param {string} [selected] - Model ID to preselect (defaults to the configured model)
+ * @returns {string}
+ */
+export function modelOptionsHtml(selected = getDefaultModel()) {
+  return Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
+
+/**
+ * Find a dialog's form from a DialogV2 callback reference: the dialog
+ * instance in Foundry VTT v13, an HTMLElement in older versions. Falls back
+ * to looking the form up in the document.
+ * @param {*} dialogRef - Third argument of a DialogV2 button callback
+ * @param {string} fallbackSelector - Selector of the form in the document
+ * @returns {HTMLFormElement|null}
+ */
+export function findDialogForm(dialogRef, fallbackSelector) {
+  return (
+    dialogRef?.element?.querySelector?.("form") ??
+    dialogRef?.querySelector?.("form") ??
+    document.querySelector(fallbackSelector)
+  );
+}
+
+/**
+ * Get the value of a named form field from a DialogV2 callback reference.
+ * @returns {string|null}
+ */
+export function getFieldValue(dialogRef, name, fallbackSelector) {
+  return findDialogForm(dialogRef, fallbackSelector)?.querySelector(`[name="${name}"]`)?.value ?? null;
+}
+
+/**
+ * Get the state of a named checkbox from a DialogV2 callback reference.
+ * @returns {boolean}
+ */
+export function getCheckboxValue(dialogRef, name, fallbackSelector) {
+  return findDialogForm(dialogRef, fallbackSelector)?.querySelector(`[name="${name}"]`)?.checked ?? false;
+}
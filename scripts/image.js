@@ -0,0 +1,338 @@
+/**
+ * NanoBanana Map Editor - Image Processing
+ * Canvas-based helpers for masking and compositing generated images.
+ *
+ * Masks are PNG images the size of the source image whose alpha channel marks
+ * the area that may change: opaque pixels are editable, transparent pixels
+ * must stay as they were. Their color is irrelevant.
+ */
+
+/**
+ * Load an image from a URL, Foundry path or data URI.
+ * @param {string} src - Image source
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image: ${src.slice(0, 64)}`));
+    img.src = src;
+  });
+}
+
+/**
+ * Load a base64-encoded PNG (without data URI prefix) as an image element.
+ * @param {string} base64 - Base64-encoded image
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadBase64Image(base64) {
+  return loadImage(`data:image/png;base64,${base64}`);
+}
+
+/**
+ * Create an offscreen 2D canvas of the given size.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+ */
+export function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  return { canvas, ctx };
+}
+
+/**
+ * Encode a canvas as a base64 PNG string (without data URI prefix).
+ * @param {HTMLCanvasElement} canvas
+ * @returns {string}
+ */
+export function canvasToBase64(canvas) {
+  return canvas.toDataURL("image/png").replace(/^data:image\/png;base64,/, "");
+}
+
+/**
+ * Check whether a canvas has no visible (non-transparent) pixels.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean}
+ */
+export function isCanvasBlank(canvas) {
+  const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Combine a generated image with the original so that only the masked area
+ * changes. The result is scaled to the original's size; pixels outside the
+ * mask are copied from the original and stay pixel-identical.
+ *
+ * @param {string} originalBase64 - Base64-encoded original image
+ * @param {string} resultBase64 - Base64-encoded generated image
+ * @param {string} maskBase64 - Base64-encoded alpha mask (opaque = editable)
+ * @returns {Promise<string>} Base64-encoded composited PNG
+ */
+export async function compositeWithMask(originalBase64, resultBase64, maskBase64) {
+  const [original, result, mask] = await Promise.all([
+    loadBase64Image(originalBase64),
+    loadBase64Image(resultBase64),
+    loadBase64Image(maskBase64),
+  ]);
+  const width = original.naturalWidth;
+  const height = original.naturalHeight;
+
+  // Generated pixels, cut down to the masked area
+  const patch = createCanvas(width, height);
+  patch.ctx.drawImage(result, 0, 0, width, height);
+  patch.ctx.globalCompositeOperation = "destination-in";
+  patch.ctx.drawImage(mask, 0, 0, width, height);
+
+  const out = createCanvas(width, height);
+  out.ctx.drawImage(original, 0, 0, width, height);
+  out.ctx.drawImage(patch.canvas, 0, 0);
+  return canvasToBase64(out.canvas);
+}
+
+/**
+ * Give an image the alpha channel of another image, e.g. to keep the feathered
+ * edges or shape cut-out of a tile whose texture is being replaced. The image
+ * is scaled to the alpha source's size.
+ * @param {string} base64 - Base64-encoded image
+ * @param {string} alphaBase64 - Base64-encoded image whose alpha is used
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+export async function applyAlphaFrom(base64, alphaBase64) {
+  const [img, alpha] = await Promise.all([loadBase64Image(base64), loadBase64Image(alphaBase64)]);
+  const { canvas, ctx } = createCanvas(alpha.naturalWidth, alpha.naturalHeight);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = "destination-in";
+  ctx.drawImage(alpha, 0, 0);
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Load any image (Foundry path, URL or data URI; PNG, JPEG, WebP, ...) and
+ * re-encode it as a base64 PNG.
+ * @param {string} src - Image source
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+export async function loadImageAsPng(src) {
+  const img = await loadImage(src);
+  const { canvas, ctx } = createCanvas(img.naturalWidth, img.naturalHeight);
+  ctx.drawImage(img, 0, 0);
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Convert an alpha mask to an opaque black-and-white mask (white = editable),
+ * the format used by Stable Diffusion inpainting and sent to Gemini.
+ * @param {string} maskBase64 - Base64-encoded alpha mask
+ * @returns {Promise<string>} Base64-encoded black-and-white PNG
+ */
+export async function maskToBlackAndWhite(maskBase64) {
+  const mask = await loadBase64Image(maskBase64);
+  const { canvas, ctx } = createCanvas(mask.naturalWidth, mask.naturalHeight);
+
+  // Whiten the painted area, then put it on a black background
+  ctx.drawImage(mask, 0, 0);
+  ctx.globalCompositeOperation = "source-in";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = "destination-over";
+  ctx.fillStyle = "#000000";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Convert an alpha mask to the OpenAI edits format, where fully transparent
+ * pixels mark the area to edit and opaque pixels are kept.
+ * @param {string} maskBase64 - Base64-encoded alpha mask
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+export async function maskToTransparentEditArea(maskBase64) {
+  const mask = await loadBase64Image(maskBase64);
+  const { canvas, ctx } = createCanvas(mask.naturalWidth, mask.naturalHeight);
+
+  ctx.fillStyle = "#000000";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = "destination-out";
+  ctx.drawImage(mask, 0, 0);
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Crop a generated image that covers `frame` down to `region` (both in scene
+ * coordinates) and turn the selection outline into the tile's alpha: pixels
+ * outside `shape` become transparent and the border can be feathered into an
+ * alpha gradient, so the patch blends into the map around it. The crop keeps
+ * the image's own pixel density.
+ *
+ * @param {string} base64 - Base64-encoded image covering the frame
+ * @param {object} frame - Area the image covers ({x, y, width, height})
+ * @param {object} region - Area to keep ({x, y, width, height}), inside the frame
+ * @param {object} [options]
+ * @param {number} [options.feather=0] - Edge feather radius in scene units
+ * @param {object|null} [options.shape] - `{type: "ellipse"}` inscribed in the
+ *   region, `{type: "polygon", points}` or `{type: "polygons", polygons}` in
+ *   scene coordinates; null keeps the whole rectangle
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+export async function cropToSelection(base64, frame, region, { feather = 0, shape = null } = {}) {
+  const img = await loadBase64Image(base64);
+  const scaleX = img.naturalWidth / frame.width;
+  const scaleY = img.naturalHeight / frame.height;
+
+  const { canvas, ctx } = createCanvas(region.width * scaleX, region.height * scaleY);
+  ctx.drawImage(
+    img,
+    (region.x - frame.x) * scaleX,
+    (region.y - frame.y) * scaleY,
+    region.width * scaleX,
+    region.height * scaleY,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+
+  if (feather > 0 || shape) {
+    const radius = Math.min(feather * scaleX, canvas.width / 2, canvas.height / 2);
+    const mask = _featheredMask(canvas.width, canvas.height, radius, (c) => {
+      c.beginPath();
+      if (shape?.type === "ellipse") {
+        c.ellipse(canvas.width / 2, canvas.height / 2, canvas.width / 2, canvas.height / 2, 0, 0, Math.PI * 2);
+      } else if (shape?.type === "polygon" || shape?.type === "polygons") {
+        const polygons = shape.type === "polygons" ? shape.polygons : [shape.points];
+        for (const points of polygons) {
+          points.forEach(({ x, y }, i) => {
+            const px = (x - region.x) * scaleX;
+            const py = (y - region.y) * scaleY;
+            if (i === 0) c.moveTo(px, py);
+            else c.lineTo(px, py);
+          });
+          c.closePath();
+        }
+      } else {
+        c.rect(0, 0, canvas.width, canvas.height);
+      }
+    });
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.drawImage(mask, 0, 0);
+  }
+
+  return canvasToBase64(canvas);
+}
+
+/**
+ * Center the visible part of a transparent image on a square canvas, sized so
+ * that the subject spans `fill` of the square's side. Used to frame token
+ * subjects the same way whatever margin the model left around them.
+ * @param {string} base64 - Base64-encoded image with alpha
+ * @param {number} [fill=1] - Share of the side the subject's longer edge covers
+ * @returns {Promise<string>} Base64-encoded square PNG
+ */
+export async function centerSubject(base64, fill = 1) {
+  const img = await loadBase64Image(base64);
+  const { canvas, ctx } = createCanvas(img.naturalWidth, img.naturalHeight);
+  ctx.drawImage(img, 0, 0);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  let left = canvas.width, top = canvas.height, right = -1, bottom = -1;
+  for (let y = 0; y < canvas.height; y++) {
+    for (let x = 0; x < canvas.width; x++) {
+      if (data[(y * canvas.width + x) * 4 + 3] < 16) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+  // Nothing visible to center
+  if (right < 0) return base64;
+
+  const width = right - left + 1;
+  const height = bottom - top + 1;
+  const side = Math.max(width, height) / fill;
+  const square = createCanvas(side, side);
+  square.ctx.drawImage(canvas, left, top, width, height, (side - width) / 2, (side - height) / 2, width, height);
+  return canvasToBase64(square.canvas);
+}
+
+/**
+ * Find the dominant colors of an image. Colors are grouped into coarse
+ * buckets; saturated buckets weigh more than gray ones, and colors too close
+ * to one already chosen are skipped.
+ * @param {string} base64 - Base64-encoded image
+ * @param {number} [count=2] - Number of colors to return
+ * @returns {Promise<string[]>} Hex colors ("#rrggbb"), most dominant first
+ */
+export async function samplePalette(base64, count = 2) {
+  const img = await loadBase64Image(base64);
+  const { ctx } = createCanvas(64, 64);
+  ctx.drawImage(img, 0, 0, 64, 64);
+  const { data } = ctx.getImageData(0, 0, 64, 64);
+
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+    const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+    const saturation = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+    const bucket = buckets.get(key) ?? { weight: 0, r: 0, g: 0, b: 0, n: 0 };
+    bucket.weight += 0.2 + saturation;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.n++;
+    buckets.set(key, bucket);
+  }
+
+  const colors = [];
+  for (const bucket of [...buckets.values()].sort((a, b) => b.weight - a.weight)) {
+    const color = [bucket.r, bucket.g, bucket.b].map((c) => Math.round(c / bucket.n));
+    const distinct = colors.every((other) => Math.hypot(...other.map((c, i) => c - color[i])) > 64);
+    if (distinct) colors.push(color);
+    if (colors.length === count) break;
+  }
+  return colors.map((rgb) => `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Render an alpha mask of a shape with a soft edge. The shape is eroded by
+ * half the radius and blurred, so that its alpha falls from ~1 to ~0 across
+ * `radius` pixels and reaches zero at the shape's outline.
+ * @param {number} width - Mask width in pixels
+ * @param {number} height - Mask height in pixels
+ * @param {number} radius - Feather radius in pixels (0 = hard edge)
+ * @param {function(CanvasRenderingContext2D): void} tracePath - Builds the shape's path
+ * @returns {HTMLCanvasElement}
+ */
+function _featheredMask(width, height, radius, tracePath) {
+  const shape = createCanvas(width, height);
+  shape.ctx.fillStyle = "#ffffff";
+  tracePath(shape.ctx);
+  // Even-odd keeps holes (e.g. in Regions) transparent
+  shape.ctx.fill("evenodd");
+  if (radius > 0) {
+    shape.ctx.globalCompositeOperation = "destination-out";
+    shape.ctx.lineWidth = radius;
+    shape.ctx.lineJoin = "round";
+    shape.ctx.stroke();
+  }
+
+  const mask = createCanvas(width, height);
+  if (radius > 0) mask.ctx.filter = `blur(${radius / 4}px)`;
+  mask.ctx.drawImage(shape.canvas, 0, 0);
+  return mask.canvas;
+}
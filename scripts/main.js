@@ -1,21 +1,49 @@
 /**
  * NanoBanana Map Editor - Main Module Entry Point
- * A Foundry VTT v13 module that allows editing maps using NanoBanana (Google Generative AI).
+ * A Foundry VTT v13 module that allows editing maps using NanoBanana (Google Generative AI)
+ * or another configured image provider.
  *
  * Workflow:
  * 1. User activates the NanoBanana tool from the scene controls
- * 2. User drags to select a rectangular region on the map
+ * 2. User selects a region of the map (rectangle, ellipse, polygon, lasso, or an
+ *    existing Drawing or Region) – or several pre-marked Drawings/Regions at once
  * 3. A dialog appears with the captured region preview, model selection, and a prompt input
- * 4. The captured image and prompt are sent to the Google Generative AI API
- * 5. The AI-generated result is placed as a tile on the map
+ * 4. The captured image and prompt are sent to the selected image provider
+ * 5. The user reviews the result(s) – accept, retry or refine
+ * 6. The accepted image is placed as a tile on the map, or baked into the
+ *    scene background image
  */
 
 import { registerSettings, getSetting } from "./settings.js";
-import { captureCanvasRegion } from "./capture.js";
-import { sendImg2Img } from "./api.js";
+import { captureCanvasRegion, getDefaultCaptureLayers } from "./capture.js";
+import {
+  NanoBananaSelectionLayer,
+  selectionFromDrawing,
+  selectionFromRegion,
+  isUsableSelection,
+} from "./selection.js";
+import { generateImageVariants, isProviderConfigured, isAbortError } from "./api.js";
 import { showPromptDialog } from "./dialog.js";
-import { placeTile } from "./tile.js";
-import { flattenTiles } from "./flatten.js";
+import { placeTile, addTileVersion } from "./tile.js";
+import { openTileHistory, openBackgroundHistory } from "./history.js";
+import { bakeIntoBackground } from "./background.js";
+import { extendScene } from "./extend.js";
+import { createAIScene } from "./new-scene.js";
+import { batchTokensForFolder, batchTokensForPack } from "./batch-tokens.js";
+import { showConditionTokenDialog, refreshConditionTokens } from "./conditions.js";
+import { openSceneVariants, setSceneVariant, createSceneVariant } from "./variants.js";
+import { flattenTiles, restoreLastFlatten } from "./flatten.js";
+import { reviewGeneration } from "./review.js";
+import { EditSession, runEditSession } from "./session.js";
+import { loadImageAsBase64, uploadImage, updateActorPortrait } from "./portrait.js";
+import {
+  compositeWithMask,
+  cropToSelection,
+  applyAlphaFrom,
+  loadImageAsPng,
+  loadBase64Image,
+} from "./image.js";
+import { fitToModel, registerResult, matchSceneResolution } from "./resolution.js";
 import {
   showPortraitEditDialog,
   showTokenEditDialog,
@@ -24,262 +52,484 @@ import {
 
 const MODULE_ID = "nanobanana-map-editor";
 
+// Singleton instance
+let selectionLayer = null;
+
 /* ------------------------------------------------------------------ */
-/*  Selection Tool Layer                                               */
+/*  Core Workflow                                                       */
 /* ------------------------------------------------------------------ */
 
 /**
- * A PIXI container used as an interaction layer for drag-selection.
- * Renders a dashed rectangle while the user drags on the canvas.
+ * Process selected regions: capture, prompt, generate, and place tiles (or
+ * bake the results into the scene background, depending on the output mode).
+ *
+ * The prompt dialog is shown for the first region only; in a batch the same
+ * prompt, model and variant count are used for every region, and each result
+ * is reviewed on its own. Discarding one result moves on to the next region.
+ *
+ * @param {Array<{rect: object, shape: object|null}>} selections - Selected rectangles in
+ *   scene coordinates, each with an optional ellipse or polygon shape inside it; only
+ *   this shape of the generated image is kept on the tile
  */
-class NanoBananaSelectionLayer {
-  constructor() {
-    this._active = false;
-    this._startPoint = null;
-    this._graphics = null;
-    this._container = null;
-  }
-
-  /** Activate the selection layer on the canvas */
-  activate() {
-    if (this._active) return;
-    this._active = true;
-
-    // Create a PIXI container for the selection rectangle
-    this._container = new PIXI.Container();
-    this._container.eventMode = "static";
-    // Large hit area covers the entire possible canvas area for pointer events
-    this._container.hitArea = new PIXI.Rectangle(
-      -1e7, -1e7, 2e7, 2e7
-    );
-    this._container.cursor = "crosshair";
-    this._graphics = new PIXI.Graphics();
-    this._container.addChild(this._graphics);
-
-    // Add to canvas above the tokens layer
-    canvas.stage.addChild(this._container);
-
-    // Bind event handlers
-    this._onPointerDown = this._handlePointerDown.bind(this);
-    this._onPointerMove = this._handlePointerMove.bind(this);
-    this._onPointerUp = this._handlePointerUp.bind(this);
-
-    this._container.on("pointerdown", this._onPointerDown);
-    this._container.on("pointermove", this._onPointerMove);
-    this._container.on("pointerup", this._onPointerUp);
-    this._container.on("pointerupoutside", this._onPointerUp);
-  }
-
-  /** Deactivate and remove the selection layer */
-  deactivate() {
-    if (!this._active) return;
-    this._active = false;
-
-    if (this._container) {
-      // Immediately disable event processing to prevent PixiJS from dispatching
-      // further events (pointerout, pointermove) on this container.
-      this._container.eventMode = "none";
-      this._container.interactiveChildren = false;
-
-      this._container.off("pointerdown", this._onPointerDown);
-      this._container.off("pointermove", this._onPointerMove);
-      this._container.off("pointerup", this._onPointerUp);
-      this._container.off("pointerupoutside", this._onPointerUp);
-
-      // Hide the container visually while it remains in the display tree.
-      this._container.visible = false;
-
-      // Purge this container from the PixiJS EventBoundary's internal
-      // "over targets" tracking. Without this, the EventBoundary would
-      // try to dispatch a pointerout event to the container after it has
-      // been removed from the stage, triggering "Cannot find propagation
-      // path to disconnected target".
-      const containerRef = this._container;
-      _purgeFromEventBoundary(containerRef);
-
-      // Temporarily suppress the specific PixiJS error as a safety net in
-      // case the EventBoundary internal API differs across PixiJS versions.
-      const removeHandler = _suppressDisconnectedTargetError();
-
-      // Defer removal from stage to avoid errors when deactivate is called
-      // during an event handler (e.g. pointerup). PixiJS EventBoundary may
-      // still reference the container for the remainder of the current
-      // event dispatch cycle.
-      requestAnimationFrame(() => {
-        if (containerRef.parent) {
-          containerRef.parent.removeChild(containerRef);
-        }
-        containerRef.destroy({ children: true });
-        // Keep the error handler active briefly after removal so it covers
-        // any pointer events that fire before PixiJS fully clears tracking.
-        setTimeout(removeHandler, 2000);
-      });
-
-      this._container = null;
-      this._graphics = null;
+async function processSelections(selections) {
+  try {
+    // 1. Check API configuration
+    if (!isProviderConfigured()) {
+      ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+      return;
     }
-    this._startPoint = null;
-  }
 
-  _handlePointerDown(event) {
-    const pos = event.getLocalPosition(canvas.stage);
-    this._startPoint = { x: pos.x, y: pos.y };
-    this._graphics.clear();
-  }
+    // 2. Check active scene
+    if (!canvas.scene) {
+      ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoScene"));
+      return;
+    }
 
-  _handlePointerMove(event) {
-    if (!this._startPoint) return;
-    const pos = event.getLocalPosition(canvas.stage);
-    this._drawRect(this._startPoint, pos);
-  }
+    const margin = Number(getSetting("contextMargin")) || 0;
+    let layers = getDefaultCaptureLayers();
+    let dialogResult = null;
+    let placed = 0;
+
+    for (const [index, { rect, shape }] of selections.entries()) {
+      // 3. Capture the region plus a margin of surrounding context, so the
+      //    model sees what the edit has to blend into
+      const captureRect = _expandRect(rect, margin);
+      let capturedBase64;
+      try {
+        capturedBase64 = await captureCanvasRegion(captureRect, layers);
+      } catch (err) {
+        console.error(`${MODULE_ID} | Capture error:`, err);
+        ui.notifications.error(
+          game.i18n.localize("NANOBANANA.ErrorCaptureFailed")
+        );
+        continue;
+      }
 
-  async _handlePointerUp(event) {
-    if (!this._startPoint) return;
-    const pos = event.getLocalPosition(canvas.stage);
-    const rect = this._normalizeRect(this._startPoint, pos);
-    this._startPoint = null;
-    this._graphics.clear();
+      // 4. Show prompt dialog (once per batch). The capture layers chosen
+      //    there are used for the rest of the batch.
+      if (!dialogResult) {
+        dialogResult = await showPromptDialog(capturedBase64, captureRect, {
+          batchSize: selections.length,
+          layers,
+          recapture: (newLayers) => captureCanvasRegion(captureRect, newLayers),
+          output: getSetting("outputMode"),
+        });
+        if (!dialogResult) return; // User cancelled
+        capturedBase64 = dialogResult.capture;
+        layers = dialogResult.layers;
+
+        // Sessions are resumed from the tile they are saved on, which a
+        // baked background does not have
+        if (dialogResult.mode === "session" && dialogResult.output === "background") {
+          ui.notifications.warn(game.i18n.localize("NANOBANANA.SessionNoBackground"));
+          return;
+        }
+      }
 
-    // Minimum selection size check
-    if (rect.width < 10 || rect.height < 10) return;
+      // Editing session: a multi-turn conversation that is applied as a tile.
+      // The session starts from the capture fitted to the model, so its
+      // images cover the fitted frame. Each region gets its own session.
+      if (dialogResult.mode === "session") {
+        const fitted = await fitToModel(capturedBase64, captureRect, { model: dialogResult.model });
+        const source = await uploadImage(fitted.base64, "nanobanana-capture");
+        await runEditSession(new EditSession({ source }), {
+          title: game.i18n.localize("NANOBANANA.SessionTitle"),
+          initialPrompt: dialogResult.prompt,
+          model: dialogResult.model,
+          onApply: async (imagePath, session) => {
+            const patch = await _finishPatch(await session.getImage(imagePath), fitted.frame, rect, shape);
+            await _outputPatch(dialogResult.output, patch, { capturedBase64, captureRect, rect, shape }, {
+              prompt: _sessionPrompt(session),
+              model: session.model,
+              session: session.toObject(),
+              frame: fitted.frame,
+            });
+            ui.notifications.info(game.i18n.localize("NANOBANANA.Success"));
+          },
+        });
+        continue;
+      }
 
-    // Deactivate selection before processing
-    this.deactivate();
+      // 5. Send to the image provider and review the results. Nothing is
+      //    uploaded before the user accepts one of them.
+      let title = game.i18n.localize("NANOBANANA.ReviewTitle");
+      if (selections.length > 1) title += ` (${index + 1}/${selections.length})`;
+
+      const result = await _reviewAreaEdit({
+        title,
+        capturedBase64,
+        captureRect,
+        prompt: dialogResult.prompt,
+        model: dialogResult.model,
+        variants: dialogResult.variants,
+        mask: dialogResult.mask,
+      });
+      if (!result) continue; // User discarded the results
+
+      // 6. Crop the context margin away, cut out the selected shape, feather
+      //    the edges, match the map's resolution and place as tile or bake
+      //    into the background.
+      const patch = await _finishPatch(result.base64, captureRect, rect, shape);
+      await _outputPatch(dialogResult.output, patch, { capturedBase64, captureRect, rect, shape }, {
+        prompt: result.prompt,
+        model: dialogResult.model,
+      });
+      placed++;
+    }
 
-    // Process the selected region
-    await processSelection(rect);
+    if (placed) ui.notifications.info(game.i18n.localize("NANOBANANA.Success"));
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return;
+    }
+    console.error(`${MODULE_ID} | Error:`, err);
+    ui.notifications.error(
+      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
+    );
   }
+}
 
-  _drawRect(start, end) {
-    const g = this._graphics;
-    g.clear();
-    g.lineStyle(2, 0xff6600, 1);
-    g.beginFill(0xff6600, 0.15);
-    const r = this._normalizeRect(start, end);
-    g.drawRect(r.x, r.y, r.width, r.height);
-    g.endFill();
-  }
+/**
+ * Generate results for a captured area and let the user review them.
+ *
+ * Inputs are fitted to the model's aspect ratio and size, and results are
+ * registered back to the capture. With an inpainting mask, pixels outside it
+ * are restored from the capture so untouched areas stay pixel-identical.
+ *
+ * @param {object} options
+ * @param {string} options.title - Review window title
+ * @param {string} options.capturedBase64 - The captured area
+ * @param {object} options.captureRect - Scene area of the capture
+ * @param {string} options.prompt - Prompt for the initial generation
+ * @param {string} options.model - Model ID
+ * @param {number} [options.variants=1] - Number of variants per request
+ * @param {string|null} [options.mask] - Inpainting mask over the capture
+ * @returns {Promise<{base64: string, prompt: string}|null>} The accepted image and
+ *   the prompt that produced it (refinements appended on new lines), or null if discarded
+ */
+async function _reviewAreaEdit({ title, capturedBase64, captureRect, prompt, model, variants = 1, mask = null }) {
+  // Prompt history of every result, so refinements can be recorded on the tile
+  const prompts = new Map();
+
+  const generateFor = async (inputBase64, requestPrompt, promptHistory, signal) => {
+    const fitted = await fitToModel(inputBase64, captureRect, { model });
+    const fittedMask = mask ? await fitToModel(mask, captureRect, { model, fill: false }) : null;
+    const results = await generateImageVariants([{ base64: fitted.base64 }], {
+      model,
+      count: variants,
+      mask: fittedMask?.base64,
+      aspectRatio: fitted.aspectRatio,
+      prompt: requestPrompt,
+      signal,
+    });
+    return Promise.all(results.map(async (result) => {
+      const registered = await registerResult(result, fitted.frame, captureRect);
+      const final = mask ? await compositeWithMask(capturedBase64, registered, mask) : registered;
+      prompts.set(final, promptHistory);
+      return final;
+    }));
+  };
 
-  _normalizeRect(start, end) {
-    const x = Math.min(start.x, end.x);
-    const y = Math.min(start.y, end.y);
-    const width = Math.abs(end.x - start.x);
-    const height = Math.abs(end.y - start.y);
-    return { x, y, width, height };
-  }
+  const base64 = await reviewGeneration({
+    title,
+    message: game.i18n.localize("NANOBANANA.Generating"),
+    beforeSrc: `data:image/png;base64,${capturedBase64}`,
+    generate: (signal) => generateFor(capturedBase64, prompt, prompt, signal),
+    refine: (input, instruction, signal) =>
+      generateFor(input, instruction, `${prompts.get(input) ?? prompt}\n${instruction}`, signal),
+  });
+  return base64 ? { base64, prompt: prompts.get(base64) ?? prompt } : null;
 }
 
 /**
- * Remove a display object from the PixiJS EventBoundary's internal "over
- * targets" tracking table.  This prevents "Cannot find propagation path to
- * disconnected target" errors when the object is later removed from the stage.
- *
- * @param {PIXI.Container} target - The display object to purge
+ * Put a finished patch on the map. As a tile, the capture is kept as the
+ * tile's source so the original map pixels stay recoverable; baked into the
+ * background, the previous background is kept as a version instead.
+ * @param {string} output - Output mode ("tile" or "background")
+ * @param {string} patch - Base64-encoded patch from _finishPatch
+ * @param {object} area - `{capturedBase64, captureRect, rect, shape}` of the edit
+ * @param {object} flags - Provenance (`prompt`, `model`) and other tile flags
+ * @returns {Promise<TileDocument|Scene>}
  */
-function _purgeFromEventBoundary(target) {
-  try {
-    const boundary = canvas.app?.renderer?.events?.rootBoundary;
-    if (!boundary) return;
-
-    // PixiJS EventBoundary tracks which targets each pointer is "over"
-    // in the `overTargets` property (Record<number, Container[]>).
-    const overTargets = boundary.overTargets;
-    if (!overTargets || typeof overTargets !== "object") return;
-
-    for (const key of Object.keys(overTargets)) {
-      const targets = overTargets[key];
-      if (Array.isArray(targets)) {
-        overTargets[key] = targets.filter((t) => t !== target);
-      }
-    }
-  } catch {
-    // Best-effort cleanup; ignore errors from unexpected PixiJS internals.
+async function _outputPatch(output, patch, { capturedBase64, captureRect, rect, shape }, flags) {
+  if (output === "background") {
+    return bakeIntoBackground(canvas.scene, patch, rect, {
+      prompt: flags.prompt,
+      model: flags.model,
+      provider: getSetting("provider"),
+    });
   }
+  return placeTile(patch, rect, {
+    ...(await _provenance(capturedBase64, captureRect, rect, shape)),
+    ...flags,
+  });
 }
 
 /**
- * Install a temporary window-level error handler that suppresses the PixiJS
- * EventBoundary "disconnected target" error.  Returns a function that removes
- * the handler when called.
- *
- * @returns {function} Cleanup function to remove the handler
+ * Upload the source capture of a generated tile and build its provenance flags.
+ * @param {string} capturedBase64 - The captured area
+ * @param {object} captureRect - Scene area of the capture
+ * @param {object} rect - Scene area of the tile
+ * @param {object|null} shape - Selection shape
+ * @returns {Promise<object>} Module flags for placeTile
  */
-function _suppressDisconnectedTargetError() {
-  const handler = (event) => {
-    if (
-      event.error?.message?.includes(
-        "Cannot find propagation path to disconnected target"
-      )
-    ) {
-      console.debug("nanobanana-map-editor | Suppressed PixiJS disconnected target error during cleanup");
-      event.preventDefault();
-    }
+async function _provenance(capturedBase64, captureRect, rect, shape) {
+  return {
+    provider: getSetting("provider"),
+    source: await uploadImage(capturedBase64, "nanobanana-capture"),
+    captureFrame: captureRect,
+    region: rect,
+    shape,
+    feather: Number(getSetting("featherRadius")) || 0,
   };
-  window.addEventListener("error", handler);
-  return () => window.removeEventListener("error", handler);
 }
 
-// Singleton instance
-let selectionLayer = null;
-
-/* ------------------------------------------------------------------ */
-/*  Core Workflow                                                       */
-/* ------------------------------------------------------------------ */
+/**
+ * The instructions given in an editing session, one per line.
+ * @param {EditSession} session
+ * @returns {string}
+ */
+function _sessionPrompt(session) {
+  return session.turns
+    .filter((turn) => turn.role === "user" && turn.text)
+    .map((turn) => turn.text)
+    .join("\n");
+}
 
 /**
- * Process a selected region: capture, prompt, generate, and place tile.
- * @param {object} rect - The selected rectangle in scene coordinates
+ * Generate a new version of a tile from its source capture, i.e. from the
+ * original map pixels rather than from the current version.
+ * @param {TileDocument} tile - The tile document
+ * @param {string} prompt - Prompt to generate with
+ * @param {string} model - Model ID
  */
-async function processSelection(rect) {
+async function regenerateTile(tile, prompt, model) {
+  const { source, captureFrame, region, shape = null } = tile.flags[MODULE_ID] ?? {};
+  if (!source || !captureFrame || !region) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.HistoryNoSource"));
+    return;
+  }
+
   try {
-    // 1. Check API configuration
-    const apiKey = getSetting("apiKey");
-    if (!apiKey) {
-      ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+    const capturedBase64 = await loadImageAsBase64(source);
+    const result = await _reviewAreaEdit({
+      title: game.i18n.localize("NANOBANANA.ReviewTitle"),
+      capturedBase64,
+      captureRect: captureFrame,
+      prompt,
+      model,
+    });
+    if (!result) return;
+
+    const patch = await _finishPatch(result.base64, captureFrame, region, shape);
+    const path = await uploadImage(patch, "nanobanana");
+    await addTileVersion(tile, path, { prompt: result.prompt, model, provider: getSetting("provider") });
+    ui.notifications.info(game.i18n.localize("NANOBANANA.Success"));
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
       return;
     }
+    console.error(`${MODULE_ID} | Regenerate error:`, err);
+    ui.notifications.error(
+      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
+    );
+  }
+}
 
-    // 2. Check active scene
-    if (!canvas.scene) {
-      ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoScene"));
+/**
+ * Re-edit any tile using its own texture as the source image, and replace
+ * the texture in place. Position, size, rotation and elevation are untouched,
+ * and the texture's alpha (feathered edges, shape cut-outs) is kept.
+ * @param {TileDocument} tile - The tile document
+ */
+async function reEditTile(tile) {
+  try {
+    if (!isProviderConfigured()) {
+      ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
       return;
     }
 
-    // 3. Capture the region
-    let capturedBase64;
+    let sourceBase64;
     try {
-      capturedBase64 = await captureCanvasRegion(rect);
+      sourceBase64 = await loadImageAsPng(tile.texture.src);
     } catch (err) {
-      console.error(`${MODULE_ID} | Capture error:`, err);
-      ui.notifications.error(
-        game.i18n.localize("NANOBANANA.ErrorCaptureFailed")
-      );
+      console.error(`${MODULE_ID} | Tile texture error:`, err);
+      ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorTileTexture"));
       return;
     }
 
-    // 4. Show prompt dialog
-    const dialogResult = await showPromptDialog(capturedBase64, rect);
-    if (!dialogResult) return; // User cancelled
-
-    // 5. Send to Google Generative AI API
-    ui.notifications.info(game.i18n.localize("NANOBANANA.Generating"));
+    // Work in the texture's own pixel space so its aspect ratio is kept
+    const { naturalWidth: width, naturalHeight: height } = await loadBase64Image(sourceBase64);
+    const frame = { x: 0, y: 0, width, height };
+
+    const dialogResult = await showPromptDialog(sourceBase64, frame);
+    if (!dialogResult) return;
+    const provider = getSetting("provider");
+
+    const applyResult = async (base64, provenance, flags) => {
+      const withAlpha = await applyAlphaFrom(base64, sourceBase64);
+      const path = await uploadImage(withAlpha, "nanobanana");
+      await addTileVersion(tile, path, provenance, flags);
+      ui.notifications.info(game.i18n.localize("NANOBANANA.Success"));
+    };
+
+    if (dialogResult.mode === "session") {
+      const source = await uploadImage(sourceBase64, "nanobanana-capture");
+      await runEditSession(new EditSession({ source }), {
+        title: game.i18n.localize("NANOBANANA.SessionTitle"),
+        initialPrompt: dialogResult.prompt,
+        model: dialogResult.model,
+        onApply: async (imagePath, session) => {
+          // The session covers the texture itself, not a scene area: resuming
+          // it only needs the texture's alpha again
+          await applyResult(
+            await session.getImage(imagePath),
+            { prompt: _sessionPrompt(session), model: session.model, provider },
+            { session: session.toObject(), frame: null, sessionAlpha: source }
+          );
+        },
+      });
+      return;
+    }
 
-    const resultBase64 = await sendImg2Img(capturedBase64, {
+    const result = await _reviewAreaEdit({
+      title: game.i18n.localize("NANOBANANA.ReviewTitle"),
+      capturedBase64: sourceBase64,
+      captureRect: frame,
       prompt: dialogResult.prompt,
       model: dialogResult.model,
+      variants: dialogResult.variants,
+      mask: dialogResult.mask,
     });
-
-    // 6. Place as tile
-    await placeTile(resultBase64, rect);
-    ui.notifications.info(game.i18n.localize("NANOBANANA.Success"));
+    if (!result) return;
+    await applyResult(result.base64, { prompt: result.prompt, model: dialogResult.model, provider });
   } catch (err) {
-    console.error(`${MODULE_ID} | Error:`, err);
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return;
+    }
+    console.error(`${MODULE_ID} | Re-edit error:`, err);
     ui.notifications.error(
       game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
     );
   }
 }
 
+/**
+ * Edit the currently selected Drawings and Scene Regions, using each one's
+ * shape as a selection.
+ */
+function editMarkedAreas() {
+  const selections = [
+    ...(canvas.drawings?.controlled ?? []).map((drawing) => selectionFromDrawing(drawing.document)),
+    ...(canvas.regions?.controlled ?? []).map((region) => selectionFromRegion(region.document)),
+  ].filter(isUsableSelection);
+
+  if (!selections.length) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoMarkedSelection"));
+    return;
+  }
+  return processSelections(selections);
+}
+
+/**
+ * Grow a rectangle by a margin on every side, clamped to the scene bounds.
+ * @param {object} rect - Rectangle in scene coordinates
+ * @param {number} margin - Margin in scene units
+ * @returns {object} The expanded rectangle
+ */
+function _expandRect(rect, margin) {
+  const { sceneX, sceneY, sceneWidth, sceneHeight } = canvas.dimensions;
+  const x = Math.max(Math.min(rect.x, sceneX), rect.x - margin);
+  const y = Math.max(Math.min(rect.y, sceneY), rect.y - margin);
+  const right = Math.min(Math.max(rect.x + rect.width, sceneX + sceneWidth), rect.x + rect.width + margin);
+  const bottom = Math.min(Math.max(rect.y + rect.height, sceneY + sceneHeight), rect.y + rect.height + margin);
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Turn a generated image covering the captured frame into the final tile
+ * texture: crop it back to the selection, cut out its shape, feather the edges
+ * and bring it to the map's pixel density.
+ * @param {string} base64 - Base64-encoded generated image
+ * @param {object} frame - Area the image covers in scene coordinates
+ * @param {object} rect - Selected area in scene coordinates
+ * @param {object|null} [shape] - Selected ellipse or polygon
+ * @returns {Promise<string>} Base64-encoded tile image
+ */
+async function _finishPatch(base64, frame, rect, shape = null) {
+  const patch = await cropToSelection(base64, frame, rect, {
+    feather: Number(getSetting("featherRadius")) || 0,
+    shape,
+  });
+  return matchSceneResolution(patch, rect);
+}
+
+/**
+ * Resume the editing session stored on a generated tile and replace the
+ * tile's texture in place when the new result is applied.
+ * @param {TileDocument} tile - The tile document
+ */
+async function resumeTileSession(tile) {
+  const session = EditSession.fromDocument(tile);
+  if (!session) return;
+
+  // Session images of a map region cover the captured frame and are cropped
+  // back to the tile's region; sessions on the tile's own texture get the
+  // texture's alpha (feathered edges, shape cut-out) back instead
+  const frame = tile.getFlag(MODULE_ID, "frame");
+  const region = tile.getFlag(MODULE_ID, "region");
+  const shape = tile.getFlag(MODULE_ID, "shape") ?? null;
+  const alphaSource = tile.getFlag(MODULE_ID, "sessionAlpha");
+
+  await runEditSession(session, {
+    title: game.i18n.localize("NANOBANANA.SessionTitle"),
+    onApply: async (imagePath) => {
+      let texturePath = imagePath;
+      if (frame && region) {
+        const patch = await _finishPatch(await session.getImage(imagePath), frame, region, shape);
+        texturePath = await uploadImage(patch, "nanobanana");
+      } else if (alphaSource) {
+        const withAlpha = await applyAlphaFrom(await session.getImage(imagePath), await loadImageAsBase64(alphaSource));
+        texturePath = await uploadImage(withAlpha, "nanobanana");
+      }
+      await addTileVersion(
+        tile,
+        texturePath,
+        { prompt: _sessionPrompt(session), model: session.model, provider: getSetting("provider") },
+        { session: session.toObject() }
+      );
+      ui.notifications.info(game.i18n.localize("NANOBANANA.Success"));
+    },
+  });
+}
+
+/**
+ * Start or resume an editing session on an actor's portrait.
+ * @param {Actor} actor - The Foundry actor document
+ */
+async function openPortraitSession(actor) {
+  let session = EditSession.fromDocument(actor);
+  if (!session) {
+    if (!actor.img || actor.img === "icons/svg/mystery-man.svg") {
+      ui.notifications.warn(game.i18n.localize("NANOBANANA.PortraitNoImage"));
+      return;
+    }
+    session = new EditSession({ source: actor.img });
+  }
+
+  await runEditSession(session, {
+    title: `${game.i18n.localize("NANOBANANA.SessionTitle")}: ${actor.name}`,
+    onApply: async (imagePath) => {
+      await updateActorPortrait(actor, imagePath, { prompt: _sessionPrompt(session), model: session.model });
+      await actor.setFlag(MODULE_ID, "session", session.toObject());
+      ui.notifications.info(game.i18n.localize("NANOBANANA.PortraitSuccess"));
+    },
+  });
+}
+
 /* ------------------------------------------------------------------ */
 /*  Hook Registration                                                   */
 /* ------------------------------------------------------------------ */
@@ -287,6 +537,9 @@ async function processSelection(rect) {
 Hooks.once("init", () => {
   console.log(`${MODULE_ID} | Initializing NanoBanana Map Editor`);
   registerSettings();
+
+  // Macro API, e.g. game.modules.get("nanobanana-map-editor").api.setSceneVariant(canvas.scene, "Night")
+  game.modules.get(MODULE_ID).api = { openSceneVariants, setSceneVariant, createSceneVariant };
 });
 
 Hooks.on("getSceneControlButtons", (controls) => {
@@ -308,7 +561,7 @@ Hooks.on("getSceneControlButtons", (controls) => {
         selectionLayer = null;
         return;
       }
-      selectionLayer = new NanoBananaSelectionLayer();
+      selectionLayer = new NanoBananaSelectionLayer((rect, shape) => processSelections([{ rect, shape }]));
       selectionLayer.activate();
       ui.notifications.info(
         game.i18n.localize("NANOBANANA.ToolHint")
@@ -328,13 +581,74 @@ Hooks.on("getSceneControlButtons", (controls) => {
     },
   };
 
+  const backgroundHistoryTool = {
+    name: "nanobanana-background-history",
+    title: game.i18n.localize("NANOBANANA.BackgroundHistoryTitle"),
+    icon: "fas fa-clock-rotate-left",
+    visible: true,
+    toggle: false,
+    button: true,
+    onChange: () => {
+      if (canvas.scene) openBackgroundHistory(canvas.scene);
+    },
+  };
+
+  const extendTool = {
+    name: "nanobanana-extend-scene",
+    title: game.i18n.localize("NANOBANANA.ExtendTitle"),
+    icon: "fas fa-expand",
+    visible: true,
+    toggle: false,
+    button: true,
+    onChange: () => {
+      extendScene({ generate: (options) => _reviewAreaEdit(options) });
+    },
+  };
+
+  const restoreTool = {
+    name: "nanobanana-flatten-restore",
+    title: game.i18n.localize("NANOBANANA.FlattenRestoreTitle"),
+    icon: "fas fa-rotate-left",
+    visible: true,
+    toggle: false,
+    button: true,
+    onChange: () => {
+      restoreLastFlatten();
+    },
+  };
+
   // In Foundry VTT v13, tools may be an object keyed by name instead of an array
   if (Array.isArray(tileControls.tools)) {
     tileControls.tools.push(nanobananaTool);
+    tileControls.tools.push(extendTool);
     tileControls.tools.push(flattenTool);
+    tileControls.tools.push(restoreTool);
+    tileControls.tools.push(backgroundHistoryTool);
   } else {
     tileControls.tools[nanobananaTool.name] = nanobananaTool;
+    tileControls.tools[extendTool.name] = extendTool;
     tileControls.tools[flattenTool.name] = flattenTool;
+    tileControls.tools[restoreTool.name] = restoreTool;
+    tileControls.tools[backgroundHistoryTool.name] = backgroundHistoryTool;
+  }
+
+  // Edit the selected Drawings / Regions through the same pipeline
+  for (const name of ["drawings", "regions"]) {
+    const control = controlList.find((c) => c.name === name);
+    if (!control) continue;
+    const markedTool = {
+      name: "nanobanana-edit-marked",
+      title: game.i18n.localize("NANOBANANA.EditMarkedTitle"),
+      icon: "fas fa-wand-magic-sparkles",
+      visible: true,
+      toggle: false,
+      button: true,
+      onChange: () => {
+        editMarkedAreas();
+      },
+    };
+    if (Array.isArray(control.tools)) control.tools.push(markedTool);
+    else control.tools[markedTool.name] = markedTool;
   }
 });
 
@@ -377,6 +691,12 @@ function _injectPortraitButtons(sheet, html) {
     <button type="button" class="nanobanana-portrait-btn" data-action="generate-token" title="${game.i18n.localize("NANOBANANA.TokenGenerateTitle")}">
       <i class="fas fa-magic"></i> ${game.i18n.localize("NANOBANANA.TokenGenerateBtn")}
     </button>
+    <button type="button" class="nanobanana-portrait-btn" data-action="portrait-session" title="${game.i18n.localize("NANOBANANA.SessionTitle")}">
+      <i class="fas fa-comments"></i> ${game.i18n.localize("NANOBANANA.SessionBtn")}
+    </button>
+    <button type="button" class="nanobanana-portrait-btn" data-action="condition-tokens" title="${game.i18n.localize("NANOBANANA.ConditionTitle")}">
+      <i class="fas fa-heart-crack"></i> ${game.i18n.localize("NANOBANANA.ConditionBtn")}
+    </button>
   `;
 
   if (tabs) {
@@ -407,6 +727,14 @@ function _injectPortraitButtons(sheet, html) {
     ev.preventDefault();
     showTokenGenerateDialog(actor);
   });
+  bar.querySelector('[data-action="portrait-session"]').addEventListener("click", (ev) => {
+    ev.preventDefault();
+    openPortraitSession(actor);
+  });
+  bar.querySelector('[data-action="condition-tokens"]').addEventListener("click", (ev) => {
+    ev.preventDefault();
+    showConditionTokenDialog(actor);
+  });
 }
 
 // Inject buttons for both Application v1 and v2 actor sheets
@@ -417,6 +745,204 @@ Hooks.on("renderActorSheetV2", (sheet, html) => {
   _injectPortraitButtons(sheet, html);
 });
 
+/* ------------------------------------------------------------------ */
+/*  Tile HUD                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Add NanoBanana controls to the Tile HUD.
+ */
+function _injectTileHudButtons(hud, html) {
+  const tile = hud.object?.document;
+  if (!tile) return;
+
+  const element = html instanceof HTMLElement ? html : html?.[0] ?? html;
+  const column = element?.querySelector?.(".col.right");
+  if (!column) return;
+
+  const reEditButton = document.createElement("button");
+  reEditButton.type = "button";
+  reEditButton.className = "control-icon nanobanana-hud-btn";
+  reEditButton.dataset.tooltip = game.i18n.localize("NANOBANANA.TileReEdit");
+  reEditButton.innerHTML = `<i class="fas fa-wand-magic-sparkles"></i>`;
+  reEditButton.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    hud.close();
+    reEditTile(tile);
+  });
+  column.append(reEditButton);
+
+  if (tile.getFlag(MODULE_ID, "versions")?.length) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "control-icon nanobanana-hud-btn";
+    button.dataset.tooltip = game.i18n.localize("NANOBANANA.HistoryTitle");
+    button.innerHTML = `<i class="fas fa-clock-rotate-left"></i>`;
+    button.addEventListener("click", (ev) => {
+      ev.preventDefault();
+      hud.close();
+      openTileHistory(tile, { regenerate: regenerateTile });
+    });
+    column.append(button);
+  }
+
+  if (tile.getFlag(MODULE_ID, "session")) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "control-icon nanobanana-hud-btn";
+    button.dataset.tooltip = game.i18n.localize("NANOBANANA.SessionResume");
+    button.innerHTML = `<i class="fas fa-comments"></i>`;
+    button.addEventListener("click", (ev) => {
+      ev.preventDefault();
+      hud.close();
+      resumeTileSession(tile);
+    });
+    column.append(button);
+  }
+}
+
+Hooks.on("renderTileHUD", (hud, html) => {
+  _injectTileHudButtons(hud, html);
+});
+
+/**
+ * Add an "edit with NanoBanana" button to the Drawing HUD. It edits every
+ * selected drawing, so several marked areas can be processed in one go.
+ */
+function _injectDrawingHudButton(hud, html) {
+  if (!game.user.isGM) return;
+  const element = html instanceof HTMLElement ? html : html?.[0] ?? html;
+  const column = element?.querySelector?.(".col.right");
+  if (!column) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "control-icon nanobanana-hud-btn";
+  button.dataset.tooltip = game.i18n.localize("NANOBANANA.EditMarkedTitle");
+  button.innerHTML = `<i class="fas fa-wand-magic-sparkles"></i>`;
+  button.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    hud.close();
+    editMarkedAreas();
+  });
+  column.append(button);
+}
+
+Hooks.on("renderDrawingHUD", (hud, html) => {
+  _injectDrawingHudButton(hud, html);
+});
+
+/* ------------------------------------------------------------------ */
+/*  Condition Tokens                                                    */
+/* ------------------------------------------------------------------ */
+
+// HP, flags and status effects can change the condition of an actor
+Hooks.on("updateActor", (actor) => {
+  refreshConditionTokens(actor);
+});
+for (const hook of ["createActiveEffect", "updateActiveEffect", "deleteActiveEffect"]) {
+  Hooks.on(hook, (effect) => {
+    if (effect.parent instanceof Actor) refreshConditionTokens(effect.parent);
+  });
+}
+// Unlinked tokens store their actor's changes in the token's delta, and a
+// dropped condition base means the token's image was replaced (see portrait.js)
+Hooks.on("updateToken", (token, changes) => {
+  const baseDropped = foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.-=conditionBase`);
+  if ("delta" in changes || baseDropped) refreshConditionTokens(token.actor);
+});
+Hooks.on("createToken", (token) => {
+  refreshConditionTokens(token.actor);
+});
+
+/* ------------------------------------------------------------------ */
+/*  Actors Directory – Batch Token Generation                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Context menu entry that generates tokens for every actor of a folder.
+ */
+function _batchFolderOption() {
+  const getFolder = (li) => {
+    const element = li instanceof HTMLElement ? li : li?.[0];
+    return game.folders.get(element?.closest?.("[data-folder-id]")?.dataset.folderId);
+  };
+  return {
+    name: "NANOBANANA.BatchMenu",
+    icon: '<i class="fas fa-wand-magic-sparkles"></i>',
+    condition: (li) => game.user.isGM && getFolder(li)?.type === "Actor",
+    callback: (li) => batchTokensForFolder(getFolder(li)),
+  };
+}
+
+/**
+ * Context menu entry that generates tokens for every actor of a compendium pack.
+ */
+function _batchPackOption() {
+  const getPack = (li) => {
+    const element = li instanceof HTMLElement ? li : li?.[0];
+    return game.packs.get(element?.closest?.("[data-pack]")?.dataset.pack);
+  };
+  return {
+    name: "NANOBANANA.BatchMenu",
+    icon: '<i class="fas fa-wand-magic-sparkles"></i>',
+    condition: (li) => game.user.isGM && getPack(li)?.documentName === "Actor",
+    callback: (li) => batchTokensForPack(getPack(li)),
+  };
+}
+
+// Folder context menus (v13 shares one hook between all directories)
+Hooks.on("getFolderContextOptions", (app, options) => {
+  options.push(_batchFolderOption());
+});
+
+// Compendium pack context menus
+Hooks.on("getCompendiumContextOptions", (app, options) => {
+  options.push(_batchPackOption());
+});
+
+/* ------------------------------------------------------------------ */
+/*  Scenes Directory                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Add a "New AI Scene" button to the Scenes directory header.
+ */
+function _injectSceneDirectoryButton(app, html) {
+  if (!game.user.isGM) return;
+  const element = html instanceof HTMLElement ? html : html?.[0] ?? html;
+  const actions = element?.querySelector?.(".header-actions");
+  if (!actions || actions.querySelector(".nanobanana-new-scene")) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "nanobanana-new-scene";
+  button.innerHTML = `<i class="fas fa-wand-magic-sparkles"></i> ${game.i18n.localize("NANOBANANA.NewSceneTitle")}`;
+  button.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    createAIScene();
+  });
+  actions.append(button);
+}
+
+Hooks.on("renderSceneDirectory", (app, html) => {
+  _injectSceneDirectoryButton(app, html);
+});
+
+/* ------------------------------------------------------------------ */
+/*  Scene Configuration                                                 */
+/* ------------------------------------------------------------------ */
+
+Hooks.on("getHeaderControlsSceneConfig", (app, controls) => {
+  if (!game.user.isGM) return;
+  controls.push({
+    icon: "fas fa-images",
+    label: "NANOBANANA.VariantsTitle",
+    action: "nanobanana-variants",
+    onClick: () => openSceneVariants(app.document),
+  });
+});
+
 Hooks.once("ready", () => {
   console.log(`${MODULE_ID} | NanoBanana Map Editor is ready`);
 });
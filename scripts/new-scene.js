@@ -0,0 +1,266 @@
+/**
+ * NanoBanana Map Editor - New AI Scene
+ * Creates a scene from scratch: the background is generated from a text
+ * prompt (optionally guided by style reference images), uploaded, and used
+ * for a new Scene whose size and grid match the requested map.
+ *
+ * Generated scenes record `generated`, `prompt`, `model` and `provider` in the
+ * module flags, like generated tiles.
+ */
+
+import {
+  getModelChoices,
+  getDefaultModel,
+  isProviderConfigured,
+  isAbortError,
+  generateFromText,
+  generateImageVariants,
+} from "./api.js";
+import { getSetting } from "./settings.js";
+import { chooseAspectRatio, fitToSize } from "./resolution.js";
+import { reviewGeneration } from "./review.js";
+import { loadImageAsBase64, uploadImage } from "./portrait.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Maximum number of variants that can be requested at once. */
+const MAX_VARIANTS = 4;
+
+/**
+ * Instruction sent ahead of the user's prompt, so results work as battle maps.
+ */
+const MAP_INSTRUCTION =
+  "Create a top-down (orthographic, bird's-eye view) battle map for a tabletop role-playing game. " +
+  "Fill the whole image with the map; no borders, text, labels, grid lines or characters.";
+
+/**
+ * Ask for the map description, size, grid and style references, generate the
+ * background, and create the scene.
+ * @returns {Promise<Scene|null>} The created scene, or null if cancelled
+ */
+export async function createAIScene() {
+  if (!isProviderConfigured()) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+    return null;
+  }
+
+  const options = await _showNewSceneDialog();
+  if (!options) return null;
+
+  try {
+    const width = options.columns * options.gridSize;
+    const height = options.rows * options.gridSize;
+    const aspectRatio = chooseAspectRatio(width, height, options.model);
+    const references = await Promise.all(
+      options.references.map(async (path) => ({ base64: await loadImageAsBase64(path) }))
+    );
+    const prompt = `${MAP_INSTRUCTION}\n\n${options.prompt}`;
+
+    const base64 = await reviewGeneration({
+      title: game.i18n.localize("NANOBANANA.NewSceneTitle"),
+      message: game.i18n.localize("NANOBANANA.Generating"),
+      generate: (signal) =>
+        generateFromText({ prompt, model: options.model, count: options.variants, aspectRatio, signal }, references),
+      // Refinements edit the selected map like a map edit
+      refine: (input, instruction, signal) =>
+        generateImageVariants([{ base64: input }], { prompt: instruction, model: options.model, aspectRatio, signal }),
+    });
+    if (!base64) return null;
+
+    const background = await uploadImage(await fitToSize(base64, width, height), "nanobanana-scene");
+    const scene = await Scene.implementation.create({
+      name: options.name || game.i18n.localize("NANOBANANA.NewSceneDefaultName"),
+      width,
+      height,
+      background: { src: background },
+      grid: { size: options.gridSize },
+      flags: {
+        [MODULE_ID]: {
+          generated: true,
+          prompt: options.prompt,
+          model: options.model,
+          provider: getSetting("provider"),
+          timestamp: Date.now(),
+        },
+      },
+    });
+
+    try {
+      const { thumb } = await scene.createThumbnail({ img: background });
+      await scene.update({ thumb });
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Could not create the scene thumbnail:`, err);
+    }
+
+    ui.notifications.info(game.i18n.format("NANOBANANA.NewSceneSuccess", { name: scene.name }));
+    return scene;
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return null;
+    }
+    console.error(`${MODULE_ID} | New scene error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+    return null;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Show the New AI Scene dialog.
+ * @returns {Promise<{name: string, prompt: string, columns: number, rows: number, gridSize: number,
+ *   model: string, variants: number, references: string[]}|null>}
+ */
+async function _showNewSceneDialog() {
+  const currentModel = getDefaultModel();
+  const modelOptions = Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
+    .join("");
+  const defaultGridSize = canvas.scene?.grid.size ?? 100;
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-new-scene-dialog">
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.NewSceneNameLabel")}</label>
+        <input type="text" name="name" placeholder="${game.i18n.localize("NANOBANANA.NewSceneDefaultName")}"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
+        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.NewScenePromptPlaceholder")}"></textarea>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.NewSceneSizeLabel")}</label>
+        <div class="form-fields">
+          <input type="number" name="columns" value="30" min="1" step="1"/>
+          <span>×</span>
+          <input type="number" name="rows" value="20" min="1" step="1"/>
+        </div>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.NewSceneGridSizeLabel")}</label>
+        <input type="number" name="gridSize" value="${defaultGridSize}" min="50" step="1"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.NewSceneReferencesLabel")}</label>
+        <div class="nanobanana-scene-references"></div>
+        <button type="button" data-action="add-reference">
+          <i class="fas fa-image"></i> ${game.i18n.localize("NANOBANANA.NewSceneAddReference")}
+        </button>
+      </div>
+      <p class="hint">${game.i18n.localize("NANOBANANA.NewSceneReferencesHint")}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogVariantsLabel")}</label>
+        <input type="number" name="variants" value="1" min="1" max="${MAX_VARIANTS}" step="1"/>
+      </div>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form =
+      dialogRef?.element?.querySelector?.("form") ??
+      document.querySelector(".nanobanana-new-scene-dialog");
+    const value = (name) => form?.querySelector(`[name="${name}"]`)?.value;
+    const integer = (name, min) => Math.max(min, Math.round(Number(value(name)) || min));
+    return {
+      name: value("name")?.trim() ?? "",
+      prompt: value("prompt")?.trim() ?? "",
+      columns: integer("columns", 1),
+      rows: integer("rows", 1),
+      gridSize: integer("gridSize", 50),
+      model: value("model") || currentModel,
+      variants: Math.clamp(integer("variants", 1), 1, MAX_VARIANTS),
+      references: [...(form?.querySelectorAll("[data-reference]") ?? [])].map((el) => el.dataset.reference),
+    };
+  };
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: game.i18n.localize("NANOBANANA.NewSceneTitle") },
+      position: { width: 480 },
+      content,
+      buttons: [
+        {
+          action: "generate",
+          label: game.i18n.localize("NANOBANANA.DialogGenerate"),
+          icon: "fas fa-magic",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            // An empty prompt is caught by _wirePromptRequired before the dialog closes
+            const options = readForm(dialogRef);
+            if (!options.prompt) {
+              ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+              return;
+            }
+            resolve(options);
+          },
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("NANOBANANA.DialogCancel"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true).then(() => {
+      _wireReferencePicker(dialog.element);
+      _wirePromptRequired(dialog.element);
+    });
+  });
+}
+
+/**
+ * Keep the dialog open when Generate is clicked without a prompt, so the
+ * other fields are not lost. Runs before DialogV2's own button handling.
+ */
+function _wirePromptRequired(element) {
+  const button = element?.querySelector?.('[data-action="generate"]');
+  const prompt = element?.querySelector?.('[name="prompt"]');
+  if (!button || !prompt) return;
+
+  button.addEventListener(
+    "click",
+    (ev) => {
+      if (prompt.value.trim()) return;
+      ev.preventDefault();
+      ev.stopImmediatePropagation();
+      ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+      prompt.focus();
+    },
+    { capture: true }
+  );
+}
+
+/**
+ * Let the user pick style reference images with the FilePicker and remove
+ * them again by clicking their thumbnail.
+ */
+function _wireReferencePicker(element) {
+  const list = element?.querySelector?.(".nanobanana-scene-references");
+  const addButton = element?.querySelector?.('[data-action="add-reference"]');
+  if (!list || !addButton) return;
+
+  const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+  addButton.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    new FP({
+      type: "image",
+      callback: (path) => {
+        const img = document.createElement("img");
+        img.src = path;
+        img.dataset.reference = path;
+        img.dataset.tooltip = game.i18n.localize("NANOBANANA.NewSceneRemoveReference");
+        img.addEventListener("click", () => img.remove());
+        list.append(img);
+      },
+    }).render(true);
+  });
+}
@@ -3,16 +3,54 @@
  * UI dialogs for editing character portraits, tokens, and generating tokens from examples.
  */
 
-import { getSetting } from "./settings.js";
-import { NANOBANANA_MODELS, sendImg2Img, sendMultiImageGeneration } from "./api.js";
+import {
+  getDefaultModel,
+  sendImg2Img,
+  sendMultiImageGeneration,
+  generateImageVariants,
+  isAbortError,
+} from "./api.js";
+import { reviewGeneration, showContactSheet } from "./review.js";
+import { runGenerationTask } from "./progress.js";
+import { centerSubject, samplePalette } from "./image.js";
 import {
   loadImageAsBase64,
   uploadImage,
   updateActorPortrait,
   updateActorToken,
+  updateActorTokenRing,
+  updateActorTokenWildcard,
+  getActorTokenImage,
+  restoreActorImage,
   scanTokenExamples,
   removeBackground,
 } from "./portrait.js";
+import { escapeHtml, modelOptionsHtml, getFieldValue, getCheckboxValue } from "./html.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/**
+ * What token generation produces: a figurine token image, a subject for
+ * Foundry's Dynamic Token Ring, or a set of variants picked at random for
+ * every token dropped on a scene.
+ */
+export const TOKEN_OUTPUTS = {
+  figurine: "NANOBANANA.TokenGenOutputFigurine",
+  ring: "NANOBANANA.TokenGenOutputRing",
+  wildcard: "NANOBANANA.TokenGenOutputWildcard",
+};
+
+/** Share of the subject image the Dynamic Ring subject spans. */
+const RING_SUBJECT_FILL = 0.9;
+
+/** Maximum number of tokens in a wildcard set. */
+const MAX_WILDCARD_VARIANTS = 8;
+
+/** Data folder for wildcard token sets, one subfolder per actor. */
+const WILDCARD_DIR = `${MODULE_ID}/token-variants`;
+
+/** Selector of the token generation form, for the form lookup fallbacks. */
+const TOKEN_GEN_FORM = ".nanobanana-token-gen-dialog";
 
 /**
  * Show a dialog for editing a character's portrait with AI.
@@ -25,26 +63,35 @@ export async function showPortraitEditDialog(actor) {
     return;
   }
 
-  const currentModel = getSetting("model") || "gemini-2.5-flash-image";
-  const modelOptions = Object.entries(NANOBANANA_MODELS)
-    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
-    .join("");
+  const currentModel = getDefaultModel();
+  const modelOptions = modelOptionsHtml(currentModel);
 
+  const previewLabel = `${escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.PortraitLabel")}`;
   const content = `
     <form class="nanobanana-dialog nanobanana-portrait-dialog">
       <div class="form-group">
         <div class="preview-container">
-          <img src="${_escapeHtml(portraitPath)}" alt="Portrait"/>
-          <div class="preview-label">${_escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.PortraitLabel")}</div>
+          <img src="${escapeHtml(portraitPath)}" alt="Portrait"/>
+          <div class="preview-label">${previewLabel}</div>
         </div>
       </div>
-      <div class="form-group">
-        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
-        <select name="model">${modelOptions}</select>
+      <nav class="nanobanana-tabs">
+        <a data-tab="edit" class="active">${game.i18n.localize("NANOBANANA.PortraitTabEdit")}</a>
+        <a data-tab="history">${game.i18n.localize("NANOBANANA.PortraitTabHistory")}</a>
+      </nav>
+      <div class="nanobanana-tab" data-tab="edit">
+        <div class="form-group">
+          <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+          <select name="model">${modelOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
+          <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.PortraitPromptPlaceholder")}"></textarea>
+        </div>
       </div>
-      <div class="form-group">
-        <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
-        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.PortraitPromptPlaceholder")}"></textarea>
+      <div class="nanobanana-tab" data-tab="history" hidden>
+        ${_actorHistoryHtml(actor, "portrait")}
+        ${_actorHistoryHtml(actor, "token")}
       </div>
     </form>
   `;
@@ -68,14 +115,33 @@ export async function showPortraitEditDialog(actor) {
             }
 
             try {
-              ui.notifications.info(game.i18n.localize("NANOBANANA.PortraitGenerating"));
-              const portraitBase64 = await loadImageAsBase64(portraitPath);
-              const resultBase64 = await sendImg2Img(portraitBase64, { prompt, model });
+              // Read the portrait now, since a version may have been restored from the history tab
+              const sourcePath = actor.img;
+              const portraitBase64 = await loadImageAsBase64(sourcePath);
+              const resultBase64 = await reviewGeneration({
+                title: game.i18n.localize("NANOBANANA.ReviewTitle"),
+                message: game.i18n.localize("NANOBANANA.PortraitGenerating"),
+                beforeSrc: sourcePath,
+                generate: async (signal) => [await sendImg2Img(portraitBase64, { prompt, model, signal })],
+                refine: async (base64, instruction, signal) => [
+                  await sendImg2Img(base64, { prompt: instruction, model, signal }),
+                ],
+              });
+              if (!resultBase64) {
+                resolve(null);
+                return;
+              }
+
               const newPath = await uploadImage(resultBase64, "nanobanana-portrait");
-              await updateActorPortrait(actor, newPath);
+              await updateActorPortrait(actor, newPath, { prompt, model });
               ui.notifications.info(game.i18n.localize("NANOBANANA.PortraitSuccess"));
               resolve(newPath);
             } catch (err) {
+              if (isAbortError(err)) {
+                ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+                resolve(null);
+                return;
+              }
               console.error("nanobanana-map-editor | Portrait edit error:", err);
               ui.notifications.error(
                 game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
@@ -93,7 +159,7 @@ export async function showPortraitEditDialog(actor) {
       ],
       close: () => resolve(null),
     });
-    dialog.render(true);
+    dialog.render(true).then(() => _wireActorHistory(dialog.element, actor, previewLabel));
   });
 }
 
@@ -108,17 +174,15 @@ export async function showTokenEditDialog(actor) {
     return;
   }
 
-  const currentModel = getSetting("model") || "gemini-2.5-flash-image";
-  const modelOptions = Object.entries(NANOBANANA_MODELS)
-    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
-    .join("");
+  const currentModel = getDefaultModel();
+  const modelOptions = modelOptionsHtml(currentModel);
 
   const content = `
     <form class="nanobanana-dialog nanobanana-portrait-dialog nanobanana-token-edit-dialog">
       <div class="form-group">
         <div class="preview-container">
-          <img src="${_escapeHtml(tokenPath)}" alt="Token"/>
-          <div class="preview-label">${_escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.TokenLabel")}</div>
+          <img src="${escapeHtml(tokenPath)}" alt="Token"/>
+          <div class="preview-label">${escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.TokenLabel")}</div>
         </div>
       </div>
       <div class="form-group">
@@ -157,21 +221,35 @@ export async function showTokenEditDialog(actor) {
             }
 
             try {
-              const shouldRemoveBg = _getCheckboxValue(dialogRef, "removeBackground", ".nanobanana-token-edit-dialog");
+              const shouldRemoveBg = getCheckboxValue(dialogRef, "removeBackground", ".nanobanana-token-edit-dialog");
 
-              ui.notifications.info(game.i18n.localize("NANOBANANA.TokenGenerating"));
               const tokenBase64 = await loadImageAsBase64(tokenPath);
-              let resultBase64 = await sendImg2Img(tokenBase64, { prompt, model });
-
-              if (shouldRemoveBg) {
-                resultBase64 = await removeBackground(resultBase64);
+              const editToken = async (base64, editPrompt, signal) => {
+                const edited = await sendImg2Img(base64, { prompt: editPrompt, model, signal });
+                return [shouldRemoveBg ? await removeBackground(edited) : edited];
+              };
+              const resultBase64 = await reviewGeneration({
+                title: game.i18n.localize("NANOBANANA.ReviewTitle"),
+                message: game.i18n.localize("NANOBANANA.TokenGenerating"),
+                beforeSrc: tokenPath,
+                generate: (signal) => editToken(tokenBase64, prompt, signal),
+                refine: editToken,
+              });
+              if (!resultBase64) {
+                resolve(null);
+                return;
               }
 
               const newPath = await uploadImage(resultBase64, "nanobanana-token");
-              await updateActorToken(actor, newPath);
+              await updateActorToken(actor, newPath, { prompt, model });
               ui.notifications.info(game.i18n.localize("NANOBANANA.TokenSuccess"));
               resolve(newPath);
             } catch (err) {
+              if (isAbortError(err)) {
+                ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+                resolve(null);
+                return;
+              }
               console.error("nanobanana-map-editor | Token edit error:", err);
               ui.notifications.error(
                 game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
@@ -209,61 +287,56 @@ export async function showTokenGenerateDialog(actor) {
   ui.notifications.info(game.i18n.localize("NANOBANANA.TokenGenScanning"));
   const examples = await scanTokenExamples();
 
-  const currentModel = getSetting("model") || "gemini-2.5-flash-image";
-  const modelOptions = Object.entries(NANOBANANA_MODELS)
-    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
-    .join("");
+  const currentModel = getDefaultModel();
+  const modelOptions = modelOptionsHtml(currentModel);
 
-  // Build examples gallery HTML
-  let examplesHtml;
-  if (examples.length > 0) {
-    const exampleItems = examples
-      .map(
-        (ex, idx) => `
-        <label class="nanobanana-example-item">
-          <input type="checkbox" name="example-${idx}" value="${idx}" />
-          <img src="${_escapeHtml(ex.path)}" alt="${_escapeHtml(ex.name)}" title="${_escapeHtml(ex.name)}${ex.prompt ? "\n" + _escapeHtml(ex.prompt) : ""}" />
-          <span class="example-name">${_escapeHtml(ex.name)}</span>
-        </label>`
-      )
-      .join("");
-    examplesHtml = `
-      <div class="form-group">
-        <label>${game.i18n.localize("NANOBANANA.TokenGenExamplesLabel")}</label>
-        <div class="nanobanana-examples-gallery">${exampleItems}</div>
-      </div>`;
-  } else {
-    examplesHtml = `
-      <div class="form-group">
-        <div class="nanobanana-no-examples">
-          <i class="fas fa-info-circle"></i>
-          ${game.i18n.localize("NANOBANANA.TokenGenNoExamples")}
-        </div>
-      </div>`;
-  }
+  const outputOptions = Object.entries(TOKEN_OUTPUTS)
+    .map(([id, label]) => `<option value="${id}">${game.i18n.localize(label)}</option>`)
+    .join("");
 
-  const defaultPromptKo = game.i18n.localize("NANOBANANA.TokenGenDefaultPrompt");
-  const defaultPromptEn = game.i18n.localize("NANOBANANA.TokenGenDefaultPromptEN");
+  const defaultPrompts = getTokenDefaultPrompts();
 
   const content = `
     <form class="nanobanana-dialog nanobanana-portrait-dialog nanobanana-token-gen-dialog">
       <div class="form-group">
         <div class="preview-container">
-          <img src="${_escapeHtml(portraitPath)}" alt="Portrait"/>
-          <div class="preview-label">${_escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.PortraitLabel")}</div>
+          <img src="${escapeHtml(portraitPath)}" alt="Portrait"/>
+          <div class="preview-label">${escapeHtml(actor.name)} - ${game.i18n.localize("NANOBANANA.PortraitLabel")}</div>
         </div>
       </div>
-      ${examplesHtml}
+      ${tokenExamplesHtml(examples)}
       <div class="form-group">
         <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
         <select name="model">${modelOptions}</select>
       </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.TokenGenOutputLabel")}</label>
+        <select name="output">${outputOptions}</select>
+      </div>
       <div class="form-group">
         <div class="nanobanana-prompt-desc">
           <i class="fas fa-info-circle"></i>
-          ${game.i18n.localize("NANOBANANA.TokenGenPromptDesc")}
+          <span class="nanobanana-output-desc">${game.i18n.localize("NANOBANANA.TokenGenPromptDesc")}</span>
         </div>
       </div>
+      <fieldset class="nanobanana-ring-options" hidden>
+        <div class="form-group">
+          <label>${game.i18n.localize("NANOBANANA.TokenGenRingScaleLabel")}</label>
+          <input type="number" name="ringScale" value="1" min="0.5" max="2" step="0.05"/>
+        </div>
+        <div class="form-group">
+          <label>
+            <input type="checkbox" name="ringColors" checked />
+            ${game.i18n.localize("NANOBANANA.TokenGenRingColors")}
+          </label>
+        </div>
+      </fieldset>
+      <fieldset class="nanobanana-wildcard-options" hidden>
+        <div class="form-group">
+          <label>${game.i18n.localize("NANOBANANA.TokenGenWildcardCountLabel")}</label>
+          <input type="number" name="wildcardCount" value="4" min="2" max="${MAX_WILDCARD_VARIANTS}" step="1"/>
+        </div>
+      </fieldset>
       <div class="form-group">
         <label>${game.i18n.localize("NANOBANANA.TokenGenPromptLangLabel")}</label>
         <select name="promptLang" class="nanobanana-prompt-lang-select">
@@ -273,7 +346,7 @@ export async function showTokenGenerateDialog(actor) {
       </div>
       <div class="form-group">
         <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
-        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.TokenGenPromptPlaceholder")}">${defaultPromptKo}</textarea>
+        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.TokenGenPromptPlaceholder")}">${defaultPrompts.figurine.ko}</textarea>
       </div>
       <div class="form-group">
         <label>
@@ -305,50 +378,77 @@ export async function showTokenGenerateDialog(actor) {
             try {
               // Collect selected examples
               const selectedExamples = _getSelectedExamples(dialogRef, examples);
-              const shouldRemoveBg = _getCheckboxValue(dialogRef, "removeBackground");
+              const output = getFieldValue(dialogRef, "output", TOKEN_GEN_FORM) ?? "figurine";
+              const ring = output === "ring";
+              const wildcardCount = Math.clamp(
+                Math.round(Number(getFieldValue(dialogRef, "wildcardCount", TOKEN_GEN_FORM)) || 2),
+                2,
+                MAX_WILDCARD_VARIANTS
+              );
+              // Ring subjects are always transparent
+              const shouldRemoveBg = ring || getCheckboxValue(dialogRef, "removeBackground", TOKEN_GEN_FORM);
+              const ringScale = Math.clamp(Number(getFieldValue(dialogRef, "ringScale", TOKEN_GEN_FORM)) || 1, 0.5, 2);
+              const sampleColors = getCheckboxValue(dialogRef, "ringColors", TOKEN_GEN_FORM);
 
-              ui.notifications.info(game.i18n.localize("NANOBANANA.TokenGenerating"));
+              // Ring subjects are centered at the same size whatever margin the model left
+              const finishToken = (base64) => (ring ? centerSubject(base64, RING_SUBJECT_FILL) : base64);
 
-              // Load portrait image
+              // Load portrait and selected example images
               const portraitBase64 = await loadImageAsBase64(portraitPath);
+              const loadedExamples = await loadTokenExamples(selectedExamples);
 
-              let resultBase64;
-              if (selectedExamples.length > 0) {
-                // Load selected example images
-                const images = [{ base64: portraitBase64 }];
-                for (const ex of selectedExamples) {
-                  const exBase64 = await loadImageAsBase64(ex.path);
-                  images.push({ base64: exBase64 });
-                }
-
-                // Build prompt with example context
-                const examplePrompts = selectedExamples
-                  .filter((ex) => ex.prompt)
-                  .map((ex) => ex.prompt)
-                  .join("\n");
-                const fullPrompt = examplePrompts
-                  ? `${prompt}\n\nReference style descriptions:\n${examplePrompts}`
-                  : prompt;
-
-                resultBase64 = await sendMultiImageGeneration(images, {
-                  prompt: fullPrompt,
+              if (output === "wildcard") {
+                resolve(await _generateWildcardSet(actor, portraitBase64, loadedExamples, {
+                  prompt,
                   model,
-                });
-              } else {
-                // No examples selected; use portrait-only generation
-                resultBase64 = await sendImg2Img(portraitBase64, { prompt, model });
+                  removeBg: shouldRemoveBg,
+                  count: wildcardCount,
+                }));
+                return;
               }
 
-              // Remove white background if requested
-              if (shouldRemoveBg) {
-                resultBase64 = await removeBackground(resultBase64);
+              const resultBase64 = await reviewGeneration({
+                title: game.i18n.localize("NANOBANANA.ReviewTitle"),
+                message: game.i18n.localize("NANOBANANA.TokenGenerating"),
+                beforeSrc: portraitPath,
+                generate: async (signal) => [
+                  await finishToken(await generateToken(portraitBase64, loadedExamples, {
+                    prompt,
+                    model,
+                    removeBg: shouldRemoveBg,
+                    signal,
+                  })),
+                ],
+                // Refinements edit the previous token directly
+                refine: async (base64, instruction, signal) => {
+                  const generated = await sendImg2Img(base64, { prompt: instruction, model, signal });
+                  return [await finishToken(shouldRemoveBg ? await removeBackground(generated) : generated)];
+                },
+              });
+              if (!resultBase64) {
+                resolve(null);
+                return;
               }
 
               const newPath = await uploadImage(resultBase64, "nanobanana-token-gen");
-              await updateActorToken(actor, newPath);
+              if (ring) {
+                const [ringColor, backgroundColor] = sampleColors ? await samplePalette(portraitBase64, 2) : [];
+                await updateActorTokenRing(actor, newPath, {
+                  scale: ringScale,
+                  colors: ringColor ? { ring: ringColor, background: backgroundColor ?? ringColor } : null,
+                  provenance: { prompt, model },
+                });
+              } else {
+                await updateActorToken(actor, newPath, { prompt, model });
+              }
               ui.notifications.info(game.i18n.localize("NANOBANANA.TokenSuccess"));
               resolve(newPath);
             } catch (err) {
+              if (isAbortError(err)) {
+                ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+                resolve(null);
+                return;
+              }
               console.error("nanobanana-map-editor | Token generation error:", err);
               ui.notifications.error(
                 game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
@@ -381,11 +481,30 @@ export async function showTokenGenerateDialog(actor) {
         return;
       }
       const langSelect = formEl.querySelector('[name="promptLang"]');
+      const outputSelect = formEl.querySelector('[name="output"]');
       const promptArea = formEl.querySelector('[name="prompt"]');
-      if (langSelect && promptArea) {
-        langSelect.addEventListener("change", () => {
-          const lang = langSelect.value;
-          promptArea.value = lang === "en" ? defaultPromptEn : defaultPromptKo;
+      if (langSelect && outputSelect && promptArea) {
+        const updatePrompt = () => {
+          promptArea.value = defaultPrompts[outputSelect.value][langSelect.value];
+        };
+        langSelect.addEventListener("change", updatePrompt);
+        outputSelect.addEventListener("change", () => {
+          const ring = outputSelect.value === "ring";
+          const wildcard = outputSelect.value === "wildcard";
+          formEl.querySelector(".nanobanana-ring-options").hidden = !ring;
+          formEl.querySelector(".nanobanana-wildcard-options").hidden = !wildcard;
+          formEl.querySelector(".nanobanana-output-desc").textContent = game.i18n.localize(
+            ring ? "NANOBANANA.TokenGenRingPromptDesc"
+              : wildcard ? "NANOBANANA.TokenGenWildcardDesc"
+                : "NANOBANANA.TokenGenPromptDesc"
+          );
+          // Background removal is always on for ring subjects
+          const removeBg = formEl.querySelector('[name="removeBackground"]');
+          if (removeBg) {
+            if (ring) removeBg.checked = true;
+            removeBg.disabled = ring;
+          }
+          updatePrompt();
         });
       }
     };
@@ -393,17 +512,253 @@ export async function showTokenGenerateDialog(actor) {
   });
 }
 
+/**
+ * Load the images of token examples for use as style references.
+ * @param {Array<{path: string, prompt: string}>} examples - Examples from scanTokenExamples()
+ * @returns {Promise<Array<{base64: string, prompt: string}>>}
+ */
+export async function loadTokenExamples(examples) {
+  const loaded = [];
+  for (const ex of examples) {
+    loaded.push({ base64: await loadImageAsBase64(ex.path), prompt: ex.prompt });
+  }
+  return loaded;
+}
+
+/**
+ * Generate a token from a portrait, using example tokens as style references.
+ * Without examples this is a portrait-only generation.
+ * @param {string} portraitBase64 - Base64-encoded portrait
+ * @param {Array<{base64: string, prompt: string}>} examples - Loaded examples (see loadTokenExamples)
+ * @param {object} options
+ * @param {string} options.prompt - Token prompt
+ * @param {string} options.model - Model ID
+ * @param {boolean} [options.removeBg=false] - Remove the white background afterwards
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} Base64-encoded token image
+ */
+export async function generateToken(portraitBase64, examples, { prompt, model, removeBg = false, signal }) {
+  const request = _tokenRequest(portraitBase64, examples, prompt);
+  const generated = await sendMultiImageGeneration(request.images, { prompt: request.prompt, model, signal });
+
+  // Remove white background if requested
+  return removeBg ? removeBackground(generated) : generated;
+}
+
+/**
+ * Build the style example gallery of the token generation dialogs, with one
+ * `example-<index>` checkbox per example.
+ * @param {Array<{path: string, name: string, prompt: string}>} examples - From scanTokenExamples
+ * @returns {string}
+ */
+export function tokenExamplesHtml(examples) {
+  if (!examples.length) {
+    return `
+      <div class="form-group">
+        <div class="nanobanana-no-examples">
+          <i class="fas fa-info-circle"></i>
+          ${game.i18n.localize("NANOBANANA.TokenGenNoExamples")}
+        </div>
+      </div>`;
+  }
+
+  const exampleItems = examples
+    .map(
+      (ex, idx) => `
+        <label class="nanobanana-example-item">
+          <input type="checkbox" name="example-${idx}" value="${idx}" />
+          <img src="${escapeHtml(ex.path)}" alt="${escapeHtml(ex.name)}" title="${escapeHtml(ex.name)}${ex.prompt ? "\n" + escapeHtml(ex.prompt) : ""}" />
+          <span class="example-name">${escapeHtml(ex.name)}</span>
+        </label>`
+    )
+    .join("");
+  return `
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.TokenGenExamplesLabel")}</label>
+        <div class="nanobanana-examples-gallery">${exampleItems}</div>
+      </div>`;
+}
+
+/**
+ * Default token generation prompts per output (see TOKEN_OUTPUTS) and prompt language.
+ * @returns {Object<string, {ko: string, en: string}>}
+ */
+export function getTokenDefaultPrompts() {
+  const figurine = {
+    ko: game.i18n.localize("NANOBANANA.TokenGenDefaultPrompt"),
+    en: game.i18n.localize("NANOBANANA.TokenGenDefaultPromptEN"),
+  };
+  return {
+    figurine,
+    ring: {
+      ko: game.i18n.localize("NANOBANANA.TokenGenRingPrompt"),
+      en: game.i18n.localize("NANOBANANA.TokenGenRingPromptEN"),
+    },
+    // Wildcard sets are figurines too
+    wildcard: figurine,
+  };
+}
+
 /* ------------------------------------------------------------------ */
 /*  Internal Helpers                                                    */
 /* ------------------------------------------------------------------ */
 
 /**
- * Escape a string for safe insertion into HTML attributes/content.
+ * Build the input images and prompt of a token generation request: the
+ * portrait, followed by the style examples and their descriptions.
+ * @returns {{images: Array<{base64: string}>, prompt: string}}
  */
-function _escapeHtml(str) {
-  const div = document.createElement("div");
-  div.textContent = str;
-  return div.innerHTML;
+function _tokenRequest(portraitBase64, examples, prompt) {
+  const examplePrompts = examples
+    .filter((ex) => ex.prompt)
+    .map((ex) => ex.prompt)
+    .join("\n");
+  return {
+    images: [{ base64: portraitBase64 }, ...examples.map((ex) => ({ base64: ex.base64 }))],
+    prompt: examplePrompts ? `${prompt}\n\nReference style descriptions:\n${examplePrompts}` : prompt,
+  };
+}
+
+/**
+ * Generate a set of distinct tokens of the same kind of character, let the
+ * user accept or reject each one, upload the accepted ones into a folder of
+ * their own, and give the prototype token a wildcard path to them with
+ * random images enabled.
+ * @param {Actor} actor
+ * @param {string} portraitBase64 - Base64-encoded portrait
+ * @param {Array<{base64: string, prompt: string}>} examples - Loaded style examples
+ * @param {{prompt: string, model: string, removeBg: boolean, count: number}} options
+ * @returns {Promise<string|null>} The wildcard path, or null if nothing was accepted
+ */
+async function _generateWildcardSet(actor, portraitBase64, examples, { prompt, model, removeBg, count }) {
+  const results = await runGenerationTask(
+    game.i18n.format("NANOBANANA.TokenGenWildcardGenerating", { count }),
+    async (signal) => {
+      const variation =
+        "Keep the art style, framing and overall look, but give this character a distinct face, hair, pose, " +
+        "clothing details and equipment, so that it is clearly a different individual of the same kind.";
+      const request = _tokenRequest(portraitBase64, examples, `${prompt}\n\n${variation}`);
+      // Requests that fail (rate limit, safety block) are left out; the others are still reviewed
+      const tokens = await generateImageVariants(request.images, { prompt: request.prompt, model, count, signal });
+      return removeBg ? Promise.all(tokens.map((token) => removeBackground(token))) : tokens;
+    }
+  );
+  if (results.length < count) {
+    ui.notifications.warn(
+      game.i18n.format("NANOBANANA.TokenGenWildcardPartial", { count: results.length, total: count })
+    );
+  }
+
+  const accepted = await showContactSheet({
+    title: `${game.i18n.localize("NANOBANANA.TokenGenOutputWildcard")}: ${actor.name}`,
+    hint: game.i18n.localize("NANOBANANA.TokenGenWildcardReviewHint"),
+    items: results.map((base64, idx) => ({ base64, label: `#${idx + 1}` })),
+  });
+  if (!accepted?.length) return null;
+
+  // Each set gets its own file prefix, so the wildcard matches only this set
+  const folder = `${WILDCARD_DIR}/${actor.name.slugify({ strict: true }) || "actor"}-${actor.id}`;
+  const prefix = `token-${Date.now()}`;
+  const paths = [];
+  for (const [n, index] of accepted.entries()) {
+    paths.push(await uploadImage(results[index], `${prefix}-${n + 1}`, folder));
+  }
+  const wildcardPath = `${folder}/${prefix}-*.png`;
+  await updateActorTokenWildcard(actor, paths, wildcardPath, { prompt, model });
+  ui.notifications.info(game.i18n.format("NANOBANANA.TokenGenWildcardSuccess", { count: paths.length }));
+  return wildcardPath;
+}
+
+/**
+ * Build the version list of an actor's portrait or token history for the
+ * history tab. Versions without a prompt are images that were not made by
+ * this module (e.g. the original).
+ * @param {Actor} actor
+ * @param {"portrait"|"token"} kind
+ * @returns {string}
+ */
+function _actorHistoryHtml(actor, kind) {
+  const history = actor.getFlag(MODULE_ID, kind === "portrait" ? "portraitHistory" : "tokenHistory") ?? [];
+  const current = kind === "portrait" ? actor.img : getActorTokenImage(actor).path;
+  const title = game.i18n.localize(kind === "portrait" ? "NANOBANANA.PortraitLabel" : "NANOBANANA.TokenLabel");
+
+  const versionsHtml = history.length
+    ? history
+      .map(
+        (version, idx) => `
+          <div class="nanobanana-actor-version ${version.path === current ? "current" : ""}" data-kind="${kind}" data-index="${idx}">
+            <img src="${escapeHtml(version.preview ?? version.path)}" alt="#${idx + 1}"
+              data-tooltip="${escapeHtml(version.prompt ?? game.i18n.localize("NANOBANANA.ActorHistoryUntracked"))}"/>
+            <span class="title">#${idx + 1}${version.ring ? ` · ${game.i18n.localize("NANOBANANA.TokenGenOutputRing")}` : ""}${
+              version.randomImg ? ` · ${game.i18n.localize("NANOBANANA.TokenGenOutputWildcard")}` : ""}</span>
+            <span class="date">${new Date(version.timestamp).toLocaleString(game.i18n.lang)}</span>
+            <button type="button" data-action="restore-version">
+              <i class="fas fa-rotate-left"></i> ${game.i18n.localize("NANOBANANA.ActorHistoryRestore")}
+            </button>
+          </div>`
+      )
+      .join("")
+    : `<p class="hint">${game.i18n.localize("NANOBANANA.ActorHistoryEmpty")}</p>`;
+
+  return `
+    <div class="form-group stacked">
+      <label>${title}</label>
+      <div class="nanobanana-actor-history">${versionsHtml}</div>
+    </div>`;
+}
+
+/**
+ * Connect the tabs of the portrait dialog and the history tab: clicking a
+ * version previews it, its Restore button makes it the actor's portrait or
+ * token again.
+ */
+function _wireActorHistory(element, actor, previewLabel) {
+  const form = element?.querySelector?.("form.nanobanana-portrait-dialog");
+  if (!form) return;
+  const preview = form.querySelector(".preview-container img");
+  const label = form.querySelector(".preview-label");
+
+  for (const tab of form.querySelectorAll(".nanobanana-tabs [data-tab]")) {
+    tab.addEventListener("click", (ev) => {
+      ev.preventDefault();
+      for (const other of form.querySelectorAll(".nanobanana-tabs [data-tab]")) {
+        other.classList.toggle("active", other === tab);
+      }
+      for (const section of form.querySelectorAll(".nanobanana-tab")) {
+        section.hidden = section.dataset.tab !== tab.dataset.tab;
+      }
+      // Leaving the history tab shows the current portrait again
+      if (tab.dataset.tab === "edit") {
+        preview.src = actor.img;
+        label.innerHTML = previewLabel;
+      }
+    });
+  }
+
+  for (const item of form.querySelectorAll(".nanobanana-actor-version")) {
+    const { kind } = item.dataset;
+    const index = Number(item.dataset.index);
+    const kindLabel = game.i18n.localize(kind === "portrait" ? "NANOBANANA.PortraitLabel" : "NANOBANANA.TokenLabel");
+
+    item.querySelector("img").addEventListener("click", () => {
+      preview.src = item.querySelector("img").src;
+      label.textContent = `${actor.name} - ${kindLabel} #${index + 1}`;
+    });
+
+    item.querySelector('[data-action="restore-version"]').addEventListener("click", async (ev) => {
+      ev.preventDefault();
+      try {
+        await restoreActorImage(actor, kind, index);
+        for (const other of form.querySelectorAll(`.nanobanana-actor-version[data-kind="${kind}"]`)) {
+          other.classList.toggle("current", other === item);
+        }
+        ui.notifications.info(game.i18n.format("NANOBANANA.ActorHistoryRestored", { kind: kindLabel }));
+      } catch (err) {
+        console.error(`${MODULE_ID} | Actor history restore error:`, err);
+        ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+      }
+    });
+  }
 }
 
 /**
@@ -477,25 +832,3 @@ function _getSelectedExamples(dialogRef, examples) {
   }
   return selected;
 }
-
-/**
- * Get the value of a named checkbox from a DialogV2 callback reference.
- */
-function _getCheckboxValue(dialogRef, name, fallbackSelector = ".nanobanana-token-gen-dialog") {
-  let formEl;
-
-  if (dialogRef?.element) {
-    formEl = dialogRef.element.querySelector?.("form");
-  } else if (dialogRef?.querySelector) {
-    formEl = dialogRef.querySelector("form");
-  }
-
-  // DOM fallback
-  if (!formEl) {
-    formEl = document.querySelector(fallbackSelector);
-  }
-
-  if (!formEl) return false;
-  const checkbox = formEl.querySelector(`[name="${name}"]`);
-  return checkbox ? checkbox.checked : false;
-}
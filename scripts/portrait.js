@@ -37,9 +37,10 @@ export async function loadImageAsBase64(imagePath) {
  * Upload a base64 image to the server and return the path.
  * @param {string} imageBase64 - Base64-encoded image (without data URI prefix)
  * @param {string} [filenamePrefix="nanobanana-portrait"] - Prefix for the filename
+ * @param {string} [uploadDir] - Data folder to upload into; missing folders are created
  * @returns {Promise<string>} The uploaded file path
  */
-export async function uploadImage(imageBase64, filenamePrefix = "nanobanana-portrait") {
+export async function uploadImage(imageBase64, filenamePrefix = "nanobanana-portrait", uploadDir = MODULE_ID) {
   const byteString = atob(imageBase64);
   const ab = new ArrayBuffer(byteString.length);
   const ia = new Uint8Array(ab);
@@ -51,13 +52,16 @@ export async function uploadImage(imageBase64, filenamePrefix = "nanobanana-port
   const filename = `${filenamePrefix}-${timestamp}.png`;
   const file = new File([blob], filename, { type: "image/png" });
 
-  const uploadDir = MODULE_ID;
   const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
 
-  try {
-    await FP.createDirectory("data", uploadDir);
-  } catch {
-    // Directory may already exist
+  // Create each level of the folder
+  const parts = uploadDir.split("/");
+  for (let i = 1; i <= parts.length; i++) {
+    try {
+      await FP.createDirectory("data", parts.slice(0, i).join("/"));
+    } catch {
+      // Directory may already exist
+    }
   }
 
   const uploadResponse = await FP.upload("data", uploadDir, file);
@@ -68,31 +72,164 @@ export async function uploadImage(imageBase64, filenamePrefix = "nanobanana-port
 }
 
 /**
- * Update a character's portrait image.
+ * Update a character's portrait image. AI changes pass their provenance and
+ * are recorded in the actor's portrait history.
  * @param {Actor} actor - The Foundry actor document
  * @param {string} imagePath - The new portrait image path
+ * @param {{prompt: string, model: string}|null} [provenance] - How the image was generated;
+ *   null (e.g. when restoring a version) leaves the history unchanged
  */
-export async function updateActorPortrait(actor, imagePath) {
-  await actor.update({ img: imagePath });
+export async function updateActorPortrait(actor, imagePath, provenance = null) {
+  await actor.update({
+    img: imagePath,
+    ..._historyUpdate(actor, "portraitHistory", { path: actor.img }, { path: imagePath, ...provenance }, provenance),
+  });
 }
 
 /**
  * Update a character's prototype token image and any placed tokens on the current scene.
+ * The Dynamic Token Ring is turned off, since its subject would be shown instead.
+ * AI changes pass their provenance and are recorded in the actor's token history.
  * @param {Actor} actor - The Foundry actor document
  * @param {string} imagePath - The new token image path
+ * @param {{prompt: string, model: string}|null} [provenance] - How the image was generated;
+ *   null (e.g. when restoring a version) leaves the history unchanged
  */
-export async function updateActorToken(actor, imagePath) {
-  await actor.update({ "prototypeToken.texture.src": imagePath });
+export async function updateActorToken(actor, imagePath, provenance = null) {
+  await actor.update({
+    "prototypeToken.texture.src": imagePath,
+    "prototypeToken.ring.enabled": false,
+    ..._historyUpdate(actor, "tokenHistory", getActorTokenImage(actor), { path: imagePath, ring: false, ...provenance }, provenance),
+  });
 
   // Also update any placed tokens on the current scene
   if (canvas.scene) {
     const tokens = canvas.scene.tokens.filter((t) => t.actorId === actor.id);
     for (const token of tokens) {
-      await token.update({ "texture.src": imagePath });
+      await token.update(_tokenImageUpdate(token, { "texture.src": imagePath, "ring.enabled": false }));
     }
   }
 }
 
+/**
+ * Show a character's token as a Dynamic Token Ring subject: enables the ring
+ * on the prototype token and any placed tokens on the current scene, with the
+ * given subject texture and scale.
+ * @param {Actor} actor - The Foundry actor document
+ * @param {string} imagePath - The subject image path
+ * @param {object} [options]
+ * @param {number} [options.scale=1] - Subject scale inside the ring
+ * @param {{ring: string, background: string}|null} [options.colors] - Ring colors; null keeps the current ones
+ * @param {{prompt: string, model: string}|null} [options.provenance] - How the image was
+ *   generated, recorded in the token history
+ */
+export async function updateActorTokenRing(actor, imagePath, { scale = 1, colors = null, provenance = null } = {}) {
+  const ring = {
+    "ring.enabled": true,
+    "ring.subject.texture": imagePath,
+    "ring.subject.scale": scale,
+  };
+  if (colors) {
+    ring["ring.colors.ring"] = colors.ring;
+    ring["ring.colors.background"] = colors.background;
+  }
+
+  await actor.update({
+    ...Object.fromEntries(Object.entries(ring).map(([key, value]) => [`prototypeToken.${key}`, value])),
+    ..._historyUpdate(actor, "tokenHistory", getActorTokenImage(actor), { path: imagePath, ring: true, ...provenance }, provenance),
+  });
+
+  // Also update any placed tokens on the current scene
+  if (canvas.scene) {
+    const tokens = canvas.scene.tokens.filter((t) => t.actorId === actor.id);
+    for (const token of tokens) {
+      await token.update(_tokenImageUpdate(token, ring));
+    }
+  }
+}
+
+/**
+ * Give a character's prototype token a set of images to pick from at random:
+ * every token dropped on a scene gets one of them. Placed tokens on the
+ * current scene are given the images in turn. The Dynamic Token Ring is
+ * turned off, since its subject would be shown instead.
+ * @param {Actor} actor - The Foundry actor document
+ * @param {string[]} imagePaths - Paths of the uploaded images
+ * @param {string} wildcardPath - Wildcard path matching exactly those images
+ * @param {{prompt: string, model: string}|null} [provenance] - How the images were
+ *   generated, recorded in the token history
+ */
+export async function updateActorTokenWildcard(actor, imagePaths, wildcardPath, provenance = null) {
+  await actor.update({
+    "prototypeToken.texture.src": wildcardPath,
+    "prototypeToken.randomImg": true,
+    "prototypeToken.ring.enabled": false,
+    ..._historyUpdate(
+      actor,
+      "tokenHistory",
+      getActorTokenImage(actor),
+      { path: wildcardPath, randomImg: true, preview: imagePaths[0], ...provenance },
+      provenance
+    ),
+  });
+
+  if (canvas.scene && imagePaths.length) {
+    const tokens = canvas.scene.tokens.filter((t) => t.actorId === actor.id);
+    for (const [i, token] of tokens.entries()) {
+      await token.update(
+        _tokenImageUpdate(token, { "texture.src": imagePaths[i % imagePaths.length], "ring.enabled": false })
+      );
+    }
+  }
+}
+
+/**
+ * The image a character's prototype token shows: the Dynamic Ring subject
+ * when the ring is enabled with one, otherwise the token texture (a wildcard
+ * path when `randomImg` is set).
+ * @param {Actor} actor - The Foundry actor document
+ * @returns {{path: string, ring: boolean, randomImg?: boolean}}
+ */
+export function getActorTokenImage(actor) {
+  const { ring, texture, randomImg } = actor.prototypeToken;
+  if (ring?.enabled && ring.subject?.texture) return { path: ring.subject.texture, ring: true };
+  return { path: texture?.src ?? null, ring: false, randomImg: !!randomImg };
+}
+
+/**
+ * Restore an earlier portrait or token from the actor's history. Token
+ * versions made as Dynamic Ring subjects are restored into the ring, and
+ * wildcard sets as random images; other token versions turn both off again.
+ * Placed tokens on the current scene follow, as for a new token.
+ * @param {Actor} actor - The Foundry actor document
+ * @param {"portrait"|"token"} kind - Which history to restore from
+ * @param {number} index - Index into that history
+ * @returns {Promise<void>}
+ */
+export async function restoreActorImage(actor, kind, index) {
+  if (kind === "portrait") {
+    const version = actor.getFlag(MODULE_ID, "portraitHistory")?.[index];
+    if (version) await updateActorPortrait(actor, version.path);
+    return;
+  }
+
+  const version = actor.getFlag(MODULE_ID, "tokenHistory")?.[index];
+  if (!version) return;
+  if (version.ring) {
+    await updateActorTokenRing(actor, version.path, { scale: actor.prototypeToken.ring.subject.scale ?? 1 });
+    return;
+  }
+  if (version.randomImg) {
+    // Placed tokens need the images themselves, so the wildcard is resolved
+    const images = await _resolveWildcard(version.path);
+    if (!images.length && version.preview) images.push(version.preview);
+    await updateActorTokenWildcard(actor, images, version.path);
+    return;
+  }
+  await updateActorToken(actor, version.path);
+  if (actor.prototypeToken.randomImg) await actor.update({ "prototypeToken.randomImg": false });
+}
+
 /**
  * Scan the token examples directory for example images.
  * Each example can have a companion .txt file containing its prompt.
@@ -179,3 +316,65 @@ export async function removeBackground(imageBase64) {
     reader.readAsDataURL(resultBlob);
   });
 }
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Actor update data that appends an AI change to one of the image
+ * histories (`portraitHistory` or `tokenHistory` in the actor flags). The
+ * image shown before is recorded first, without a prompt, if the history
+ * does not contain it yet (the original image, or one set by hand since).
+ * @param {Actor} actor
+ * @param {string} key - History flag key
+ * @param {{path: string}} previous - The image shown before the change
+ * @param {{path: string, prompt: string, model: string}} next - The new image
+ * @param {object|null} provenance - Nothing is recorded without one
+ * @returns {object}
+ */
+function _historyUpdate(actor, key, previous, next, provenance) {
+  if (!provenance) return {};
+  const history = [...(actor.getFlag(MODULE_ID, key) ?? [])];
+  if (previous.path && !history.some((version) => version.path === previous.path)) {
+    history.push({ ...previous, prompt: null, model: null, timestamp: Date.now() });
+  }
+  history.push({ prompt: null, model: null, ...next, timestamp: Date.now() });
+  return { [`flags.${MODULE_ID}.${key}`]: history };
+}
+
+/**
+ * The image files matching a wildcard token path.
+ * @param {string} wildcardPath - e.g. `folder/token-123-*.png`
+ * @returns {Promise<string[]>}
+ */
+async function _resolveWildcard(wildcardPath) {
+  const FP = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+  try {
+    const result = await FP.browse("data", wildcardPath, { wildcard: true });
+    return result?.files ?? [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Token update data that changes a placed token's image. While a condition
+ * variant is shown (see conditions.js), the swapped field holds the variant
+ * and `conditionBase` the image to go back to, so a new image for that field
+ * is stored as the base instead: the condition keeps showing and the new art
+ * comes back when it ends. Other image changes (e.g. the ring turned on or
+ * off) restore the base and drop it, and the condition is applied again.
+ * @param {TokenDocument} token
+ * @param {object} changes - Update data with flattened keys
+ * @returns {object}
+ */
+function _tokenImageUpdate(token, changes) {
+  const base = token.getFlag(MODULE_ID, "conditionBase");
+  if (!base) return changes;
+  if (base.field in changes) {
+    const { [base.field]: path, ...rest } = changes;
+    return { ...rest, [`flags.${MODULE_ID}.conditionBase.path`]: path };
+  }
+  return { [base.field]: base.path, ...changes, [`flags.${MODULE_ID}.-=conditionBase`]: null };
+}
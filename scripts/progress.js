@@ -0,0 +1,58 @@
+/**
+ * NanoBanana Map Editor - Generation Progress
+ * Shows a small "Generating…" window while a request is in flight. Its Cancel
+ * button (or closing the window) aborts the request through an AbortSignal.
+ */
+
+/**
+ * Run an asynchronous generation task while showing a cancellable progress window.
+ * The task receives an AbortSignal that is aborted when the user cancels; it
+ * should pass the signal on to the API functions.
+ *
+ * @param {string} message - Status text shown in the progress window
+ * @param {function(AbortSignal): Promise<*>} task - The work to perform
+ * @returns {Promise<*>} The task result; rejects with an AbortError when cancelled
+ */
+export async function runGenerationTask(message, task) {
+  const controller = new AbortController();
+  let finished = false;
+
+  const dialog = new foundry.applications.api.DialogV2({
+    window: {
+      title: game.i18n.localize("NANOBANANA.GeneratingTitle"),
+      icon: "fas fa-wand-magic-sparkles",
+    },
+    classes: ["nanobanana-progress"],
+    content: `
+      <div class="nanobanana-generating">
+        <i class="fas fa-spinner fa-spin"></i>
+        <span>${message}</span>
+      </div>
+    `,
+    buttons: [
+      {
+        action: "cancel",
+        label: game.i18n.localize("NANOBANANA.DialogCancel"),
+        icon: "fas fa-times",
+        default: true,
+        callback: () => controller.abort(),
+      },
+    ],
+  });
+
+  // Closing the window from its header also cancels the request
+  dialog.addEventListener?.("close", () => {
+    if (!finished) controller.abort();
+  });
+  const rendering = dialog.render(true);
+
+  try {
+    return await task(controller.signal);
+  } finally {
+    finished = true;
+    // Wait for the first render so a very fast task does not leave the window behind
+    rendering.then(() => {
+      if (dialog.rendered) dialog.close();
+    });
+  }
+}
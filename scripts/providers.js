@@ -0,0 +1,424 @@
+/**
+ * NanoBanana Map Editor - Image Providers
+ * Backend definitions for the supported image generation services.
+ *
+ * Each provider declares its own model list and the setting keys that hold
+ * its API key, base URL and selected model. Providers only know how to build
+ * an HTTP request and how to read images back out of the response; the actual
+ * network calls are made by api.js so that every provider behaves the same way
+ * from the dialogs' point of view.
+ */
+
+import { maskToBlackAndWhite, maskToTransparentEditArea } from "./image.js";
+
+/**
+ * Instruction appended to the prompt when an inpainting mask is sent to a
+ * model without native mask support.
+ */
+const MASK_INSTRUCTION =
+  "The last image is a mask for the first image. Only modify the regions that are white in the mask. " +
+  "Keep everything in the black regions exactly unchanged and keep the same framing and size.";
+
+/**
+ * Instruction appended to the prompt of a text-to-image request that comes
+ * with style reference images.
+ */
+const REFERENCE_INSTRUCTION =
+  "The attached images are style references only. Create a new image in their art style; " +
+  "do not copy their content or composition.";
+
+/**
+ * Build the Google Generative AI (Gemini) generateContent request.
+ * Images are sent as inline data parts followed by the text prompt. An
+ * inpainting mask is sent as an extra image with a mask-aware instruction.
+ * When `options.history` is given, the earlier turns of an editing session are sent
+ * as a multi-turn conversation before the new user turn. For text-to-image
+ * requests the images are style references.
+ */
+async function _buildGeminiRequest(images, options, config) {
+  const parts = [];
+  for (const img of images) {
+    parts.push({
+      inlineData: {
+        mimeType: img.mimeType || "image/png",
+        data: img.base64,
+      },
+    });
+  }
+  let prompt = options.prompt || "";
+  if (options.mask) {
+    parts.push({ inlineData: { mimeType: "image/png", data: await maskToBlackAndWhite(options.mask) } });
+    prompt = `${prompt}\n\n${MASK_INSTRUCTION}`;
+  }
+  if (options.textToImage && images.length) prompt = `${prompt}\n\n${REFERENCE_INSTRUCTION}`;
+  parts.push({ text: prompt });
+
+  const contents = (options.history ?? []).map(_toGeminiContent);
+  contents.push({ role: "user", parts });
+
+  const payload = {
+    contents,
+    generationConfig: {
+      responseModalities: ["TEXT", "IMAGE"],
+    },
+  };
+  if (options.aspectRatio) {
+    payload.generationConfig.imageConfig = { aspectRatio: options.aspectRatio };
+  }
+
+  return {
+    url: `${config.baseUrl}/models/${options.model}:generateContent?key=${config.apiKey}`,
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    },
+  };
+}
+
+/**
+ * Convert a session turn ({role, images, text, signature}) to Gemini content.
+ * Model turns carry the thought signature returned with their image, which
+ * newer models require to continue editing it.
+ */
+function _toGeminiContent(turn) {
+  const parts = [];
+  for (const base64 of turn.images ?? []) {
+    const part = { inlineData: { mimeType: "image/png", data: base64 } };
+    if (turn.signature) part.thoughtSignature = turn.signature;
+    parts.push(part);
+  }
+  if (turn.text) parts.push({ text: turn.text });
+  return { role: turn.role, parts };
+}
+
+/**
+ * Extract the generated images and any text reply from a Gemini response.
+ */
+function _parseGeminiResponse(result) {
+  const candidates = result.candidates;
+  if (!candidates || candidates.length === 0) {
+    throw new Error(
+      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: "No candidates returned" })
+    );
+  }
+
+  const images = [];
+  const texts = [];
+  let signature = null;
+  for (const candidate of candidates) {
+    const parts = candidate?.content?.parts;
+    if (!parts) continue;
+    for (const part of parts) {
+      if (part.inlineData?.data) {
+        images.push(part.inlineData.data);
+        signature ??= part.thoughtSignature ?? null;
+      } else if (part.text && !part.thought) {
+        texts.push(part.text);
+      }
+    }
+  }
+
+  if (!images.length && !texts.length) {
+    throw new Error(
+      game.i18n.format("NANOBANANA.ErrorApiFailed", { error: "No content parts returned" })
+    );
+  }
+  return { images, text: texts.join("\n"), signature };
+}
+
+/**
+ * Output sizes of the OpenAI image models for each supported aspect ratio.
+ */
+const OPENAI_SIZES = {
+  "1:1": "1024x1024",
+  "3:2": "1536x1024",
+  "2:3": "1024x1536",
+};
+
+/**
+ * Build an OpenAI-compatible images/edits request (multipart form data).
+ * gpt-image-1 accepts several input images; older models only use the first.
+ * Text-to-image requests go to images/generations, unless gpt-image-1 gets
+ * style references (which only the edits endpoint accepts).
+ */
+async function _buildOpenAIRequest(images, options, config) {
+  const multiImage = options.model !== "dall-e-2";
+  if (options.textToImage && (!images.length || !multiImage)) {
+    return _buildOpenAIGenerationRequest(options, config);
+  }
+
+  const form = new FormData();
+  form.append("model", options.model);
+  let prompt = options.prompt || "";
+  if (options.textToImage) prompt = `${prompt}\n\n${REFERENCE_INSTRUCTION}`;
+  form.append("prompt", prompt);
+
+  const inputs = multiImage ? images : images.slice(0, 1);
+  inputs.forEach((img, idx) => {
+    const mimeType = img.mimeType || "image/png";
+    const blob = _base64ToBlob(img.base64, mimeType);
+    const ext = mimeType.split("/")[1] || "png";
+    form.append(multiImage ? "image[]" : "image", blob, `image-${idx}.${ext}`);
+  });
+
+  if (options.mask) {
+    const mask = await maskToTransparentEditArea(options.mask);
+    form.append("mask", _base64ToBlob(mask), "mask.png");
+  }
+
+  if (options.count > 1) form.append("n", String(options.count));
+  if (OPENAI_SIZES[options.aspectRatio]) form.append("size", OPENAI_SIZES[options.aspectRatio]);
+
+  // dall-e-2 returns URLs unless explicitly asked for base64
+  if (!multiImage) form.append("response_format", "b64_json");
+
+  return {
+    url: `${config.baseUrl}/images/edits`,
+    init: {
+      method: "POST",
+      headers: { Authorization: `Bearer ${config.apiKey}` },
+      body: form,
+    },
+  };
+}
+
+/**
+ * Build an OpenAI-compatible images/generations request (text only).
+ */
+function _buildOpenAIGenerationRequest(options, config) {
+  const payload = { model: options.model, prompt: options.prompt || "" };
+  if (options.count > 1) payload.n = options.count;
+  if (OPENAI_SIZES[options.aspectRatio]) payload.size = OPENAI_SIZES[options.aspectRatio];
+  if (options.model === "dall-e-2") payload.response_format = "b64_json";
+
+  return {
+    url: `${config.baseUrl}/images/generations`,
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${config.apiKey}` },
+      body: JSON.stringify(payload),
+    },
+  };
+}
+
+/**
+ * Extract the generated images from an OpenAI images response.
+ */
+function _parseOpenAIResponse(result) {
+  const images = (result.data ?? []).map((d) => d.b64_json).filter(Boolean);
+  return { images, text: result.data?.[0]?.revised_prompt ?? "" };
+}
+
+/**
+ * Build an Automatic1111 (Stable Diffusion WebUI API) img2img request.
+ * The output size follows the input image, rounded to multiples of 8 and
+ * limited to the working resolution of the selected model family.
+ * Text-to-image requests use txt2img and ignore style references.
+ */
+async function _buildSdRequest(images, options, config) {
+  const maxSide = options.model === "sd15" ? 768 : 1024;
+  if (options.textToImage) return _buildSdTextRequest(options, config, maxSide);
+
+  const { width, height } = await _getImageSize(images[0].base64);
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+
+  const payload = {
+    init_images: [images[0].base64],
+    prompt: options.prompt || "",
+    denoising_strength: 0.6,
+    steps: 30,
+    batch_size: Math.max(1, options.count || 1),
+    width: Math.max(64, Math.round((width * scale) / 8) * 8),
+    height: Math.max(64, Math.round((height * scale) / 8) * 8),
+  };
+
+  // Inpainting: only the white area of the mask is regenerated
+  if (options.mask) {
+    Object.assign(payload, {
+      mask: await maskToBlackAndWhite(options.mask),
+      mask_blur: 4,
+      inpainting_fill: 1,
+      inpaint_full_res: false,
+    });
+  }
+
+  return {
+    url: `${config.baseUrl}/sdapi/v1/img2img`,
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ..._sdAuthHeaders(config) },
+      body: JSON.stringify(payload),
+    },
+  };
+}
+
+/**
+ * Build an Automatic1111 txt2img request. The output follows the requested
+ * aspect ratio ("w:h") at the model family's working resolution.
+ */
+function _buildSdTextRequest(options, config, maxSide) {
+  const [w, h] = (options.aspectRatio ?? "1:1").split(":").map(Number);
+  const scale = maxSide / Math.max(w, h);
+
+  const payload = {
+    prompt: options.prompt || "",
+    steps: 30,
+    batch_size: Math.max(1, options.count || 1),
+    width: Math.max(64, Math.round((w * scale) / 8) * 8),
+    height: Math.max(64, Math.round((h * scale) / 8) * 8),
+  };
+
+  return {
+    url: `${config.baseUrl}/sdapi/v1/txt2img`,
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ..._sdAuthHeaders(config) },
+      body: JSON.stringify(payload),
+    },
+  };
+}
+
+/**
+ * Extract the generated images from an Automatic1111 response.
+ */
+function _parseSdResponse(result) {
+  return { images: (result.images ?? []).filter(Boolean), text: "" };
+}
+
+/**
+ * Automatic1111 supports optional HTTP basic auth (`--api-auth user:pass`).
+ * A key without a colon is sent as a bearer token for reverse proxies.
+ */
+function _sdAuthHeaders(config) {
+  if (!config.apiKey) return {};
+  if (config.apiKey.includes(":")) return { Authorization: `Basic ${_utf8ToBase64(config.apiKey)}` };
+  return { Authorization: `Bearer ${config.apiKey}` };
+}
+
+/**
+ * Available image generation providers, keyed by the value stored in the
+ * "provider" setting. `maxBatch` is the number of images a single request can
+ * return; larger variant counts are split into parallel requests by api.js.
+ * `supportsHistory` marks providers that accept multi-turn conversations.
+ * `aspectRatios` lists the output shapes the models support (overridden per
+ * model by `modelAspectRatios`; null = any), and `inputSize` is the longest
+ * side input images are downscaled to (null = left to the provider).
+ * See resolution.js.
+ */
+export const PROVIDERS = {
+  gemini: {
+    label: "NANOBANANA.ProviderGemini",
+    requiresApiKey: true,
+    settings: { apiKey: "apiKey", baseUrl: "geminiBaseUrl", model: "model" },
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    defaultModel: "gemini-2.5-flash-image",
+    maxBatch: 1,
+    supportsHistory: true,
+    aspectRatios: ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"],
+    inputSize: 1024,
+    /**
+     * Nano Banana is Gemini's native image generation capability.
+     * - Nano Banana: gemini-2.5-flash-image – optimized for speed and high-volume low-latency tasks.
+     * - Nano Banana 2: gemini-3.1-flash-image-preview – high-efficiency counterpart of Gemini 3 Pro Image.
+     * - Nano Banana Pro: gemini-3-pro-image-preview – designed for professional asset creation with
+     *   advanced reasoning for complex instructions and high-fidelity text rendering.
+     *
+     * All generated images include a SynthID watermark.
+     */
+    models: {
+      "gemini-2.5-flash-image": "Nano Banana (Gemini 2.5 Flash Image)",
+      "gemini-3.1-flash-image-preview": "Nano Banana 2 (Gemini 3.1 Flash Image Preview)",
+      "gemini-3-pro-image-preview": "Nano Banana Pro (Gemini 3 Pro Image Preview)",
+    },
+    buildRequest: _buildGeminiRequest,
+    parseResponse: _parseGeminiResponse,
+    buildCheckRequest: (config) => ({
+      url: `${config.baseUrl}/models?key=${config.apiKey}`,
+      init: { method: "GET" },
+    }),
+  },
+
+  openai: {
+    label: "NANOBANANA.ProviderOpenAI",
+    requiresApiKey: true,
+    settings: { apiKey: "openaiApiKey", baseUrl: "openaiBaseUrl", model: "openaiModel" },
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-image-1",
+    maxBatch: 10,
+    supportsHistory: false,
+    aspectRatios: Object.keys(OPENAI_SIZES),
+    modelAspectRatios: { "dall-e-2": ["1:1"] },
+    inputSize: 1024,
+    models: {
+      "gpt-image-1": "GPT Image 1",
+      "dall-e-2": "DALL·E 2",
+    },
+    buildRequest: _buildOpenAIRequest,
+    parseResponse: _parseOpenAIResponse,
+    buildCheckRequest: (config) => ({
+      url: `${config.baseUrl}/models`,
+      init: { method: "GET", headers: { Authorization: `Bearer ${config.apiKey}` } },
+    }),
+  },
+
+  automatic1111: {
+    label: "NANOBANANA.ProviderSd",
+    requiresApiKey: false,
+    settings: { apiKey: "sdApiKey", baseUrl: "sdBaseUrl", model: "sdModel" },
+    defaultBaseUrl: "http://127.0.0.1:7860",
+    defaultModel: "sdxl",
+    maxBatch: 4,
+    supportsHistory: false,
+    aspectRatios: null,
+    inputSize: null,
+    models: {
+      sdxl: "Stable Diffusion XL (1024px)",
+      sd15: "Stable Diffusion 1.5 (768px)",
+    },
+    buildRequest: _buildSdRequest,
+    parseResponse: _parseSdResponse,
+    buildCheckRequest: (config) => ({
+      url: `${config.baseUrl}/sdapi/v1/sd-models`,
+      init: { method: "GET", headers: _sdAuthHeaders(config) },
+    }),
+  },
+};
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Convert a base64 string (without data URI prefix) to a Blob.
+ */
+function _base64ToBlob(base64, mimeType = "image/png") {
+  const byteString = atob(base64);
+  const ab = new ArrayBuffer(byteString.length);
+  const ia = new Uint8Array(ab);
+  for (let i = 0; i < byteString.length; i++) {
+    ia[i] = byteString.charCodeAt(i);
+  }
+  return new Blob([ab], { type: mimeType });
+}
+
+/**
+ * Base64-encode a string as UTF-8. `btoa` alone throws on non-Latin-1
+ * characters, which credentials may contain.
+ */
+function _utf8ToBase64(str) {
+  const bytes = new TextEncoder().encode(str);
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * Read the pixel dimensions of a base64-encoded image.
+ */
+async function _getImageSize(base64) {
+  const bitmap = await createImageBitmap(_base64ToBlob(base64));
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return size;
+}
@@ -0,0 +1,243 @@
+/**
+ * NanoBanana Map Editor - Resolution Management
+ * Fits captures to the sizes and aspect ratios the image models work with,
+ * and maps their output back onto the map.
+ *
+ * A capture is padded to the nearest aspect ratio the model supports and
+ * downscaled to the model's working size. The padded image covers a slightly
+ * larger area of the scene than the capture (its frame), so whatever size the
+ * model returns can be registered back to the capture or the selection by
+ * cropping that frame.
+ */
+
+import { getActiveProvider } from "./api.js";
+import { getSetting } from "./settings.js";
+import { loadBase64Image, createCanvas, canvasToBase64, cropToSelection } from "./image.js";
+
+/** Results below this share of the map's pixel density trigger a warning. */
+const LOW_RESOLUTION_RATIO = 0.75;
+
+/** Blur applied to the stretched copy of the image that fills the padding. */
+const PADDING_BLUR = 16;
+
+/**
+ * Get the aspect ratios ("w:h") a model accepts, or null if any ratio works.
+ * @param {string} model - Model ID
+ * @param {object} [provider] - Provider definition (defaults to the active one)
+ * @returns {string[]|null}
+ */
+export function getSupportedAspectRatios(model, provider = getActiveProvider()) {
+  return provider.modelAspectRatios?.[model] ?? provider.aspectRatios ?? null;
+}
+
+/**
+ * Aspect ratio to request for an image of the given size: the closest one the
+ * model supports, or the exact ratio for models that accept any.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} model - Model ID
+ * @param {object} [provider] - Provider definition (defaults to the active one)
+ * @returns {string} Aspect ratio as "w:h"
+ */
+export function chooseAspectRatio(width, height, model, provider = getActiveProvider()) {
+  const ratios = getSupportedAspectRatios(model, provider);
+  if (ratios) return _nearestAspectRatio(width / height, ratios);
+  const divisor = _gcd(Math.round(width), Math.round(height)) || 1;
+  return `${Math.round(width) / divisor}:${Math.round(height) / divisor}`;
+}
+
+/**
+ * Pad and downscale an image to one of the model's aspect ratios and its
+ * working size. The image stays centered; the padding is filled with a
+ * blurred, stretched copy of it so the model sees plausible surroundings
+ * (or left transparent for masks, so padding is never edited).
+ *
+ * @param {string} base64 - Base64-encoded image
+ * @param {object} frame - Scene area the image covers ({x, y, width, height})
+ * @param {object} options
+ * @param {string} options.model - Model ID the image is sent to
+ * @param {boolean} [options.fill=true] - Fill the padding instead of leaving it transparent
+ * @param {object} [options.provider] - Provider definition (defaults to the active one)
+ * @returns {Promise<{base64: string, frame: object, aspectRatio: string|null}>} The fitted
+ *   image, the scene area it covers, and the chosen aspect ratio to request
+ */
+export async function fitToModel(base64, frame, { model, fill = true, provider = getActiveProvider() }) {
+  const img = await loadBase64Image(base64);
+  const width = img.naturalWidth;
+  const height = img.naturalHeight;
+
+  const ratios = getSupportedAspectRatios(model, provider);
+  const aspectRatio = ratios ? _nearestAspectRatio(width / height, ratios) : null;
+
+  let paddedWidth = width;
+  let paddedHeight = height;
+  if (aspectRatio) {
+    const target = _ratioValue(aspectRatio);
+    if (width / height < target) paddedWidth = height * target;
+    else paddedHeight = width / target;
+  }
+  const scale = Math.min(1, (provider.inputSize ?? Infinity) / Math.max(paddedWidth, paddedHeight));
+  const offsetX = (paddedWidth - width) / 2;
+  const offsetY = (paddedHeight - height) / 2;
+
+  const unitsX = frame.width / width;
+  const unitsY = frame.height / height;
+  const fittedFrame = {
+    x: frame.x - offsetX * unitsX,
+    y: frame.y - offsetY * unitsY,
+    width: paddedWidth * unitsX,
+    height: paddedHeight * unitsY,
+  };
+
+  // Already a supported shape and size
+  if (scale === 1 && paddedWidth === width && paddedHeight === height) {
+    return { base64, frame: fittedFrame, aspectRatio };
+  }
+
+  const { canvas, ctx } = createCanvas(paddedWidth * scale, paddedHeight * scale);
+  if (fill) {
+    ctx.save();
+    ctx.filter = `blur(${PADDING_BLUR}px)`;
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+  }
+  ctx.drawImage(img, offsetX * scale, offsetY * scale, width * scale, height * scale);
+
+  return { base64: canvasToBase64(canvas), frame: fittedFrame, aspectRatio };
+}
+
+/**
+ * Register a model result back onto a scene area: crop the part of the fitted
+ * frame that `frame` covers, dropping any padding added by fitToModel.
+ * @param {string} base64 - Base64-encoded model result
+ * @param {object} fittedFrame - Scene area the result covers (from fitToModel)
+ * @param {object} frame - Scene area to keep
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+export function registerResult(base64, fittedFrame, frame) {
+  return cropToSelection(base64, fittedFrame, frame);
+}
+
+/**
+ * Pixels of the scene background per scene unit. Maps whose background image
+ * is larger than the scene dimensions show more detail than a 1:1 capture.
+ * @returns {number}
+ */
+export function getScenePixelDensity() {
+  const texture = canvas.primary?.background?.texture;
+  const sceneWidth = canvas.dimensions?.sceneWidth;
+  if (!texture?.valid || !texture.width || !sceneWidth) return 1;
+  return texture.width / sceneWidth;
+}
+
+/**
+ * Bring a finished tile image to the map's pixel density. Warns when the image
+ * is visibly lower-res than the map around it and, when the "upscaleResults"
+ * setting is on, upscales it so the tile matches the surrounding pixel density.
+ * Upscaling adds no detail but avoids a soft, stretched look next to the map.
+ *
+ * @param {string} base64 - Base64-encoded tile image
+ * @param {object} rect - Scene area the tile covers
+ * @returns {Promise<string>} Base64-encoded tile image
+ */
+export async function matchSceneResolution(base64, rect) {
+  const img = await loadBase64Image(base64);
+  const density = getScenePixelDensity();
+  const targetWidth = Math.round(rect.width * density);
+  const targetHeight = Math.round(rect.height * density);
+
+  if (img.naturalWidth < targetWidth * LOW_RESOLUTION_RATIO) {
+    ui.notifications.warn(
+      game.i18n.format("NANOBANANA.WarnLowResolution", {
+        actual: `${img.naturalWidth} × ${img.naturalHeight}`,
+        expected: `${targetWidth} × ${targetHeight}`,
+      })
+    );
+  }
+
+  if (!getSetting("upscaleResults") || img.naturalWidth >= targetWidth) return base64;
+  return canvasToBase64(_resample(img, targetWidth, targetHeight));
+}
+
+/**
+ * Bring a generated image to a target size: crop it centrally to the target's
+ * aspect ratio and, when the "upscaleResults" setting is on, upscale it to the
+ * target size. Used for images that become a whole scene background.
+ * @param {string} base64 - Base64-encoded image
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @returns {Promise<string>} Base64-encoded PNG
+ */
+export async function fitToSize(base64, width, height) {
+  const img = await loadBase64Image(base64);
+  const scale = Math.min(img.naturalWidth / width, img.naturalHeight / height);
+  const cropWidth = width * scale;
+  const cropHeight = height * scale;
+
+  const cropped = createCanvas(cropWidth, cropHeight);
+  cropped.ctx.drawImage(
+    img,
+    (img.naturalWidth - cropWidth) / 2,
+    (img.naturalHeight - cropHeight) / 2,
+    cropWidth,
+    cropHeight,
+    0,
+    0,
+    cropped.canvas.width,
+    cropped.canvas.height
+  );
+
+  if (!getSetting("upscaleResults") || cropped.canvas.width >= width) return canvasToBase64(cropped.canvas);
+  return canvasToBase64(_resample(cropped.canvas, width, height));
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Numeric value of a "w:h" aspect ratio.
+ */
+function _ratioValue(ratio) {
+  const [w, h] = ratio.split(":").map(Number);
+  return w / h;
+}
+
+/**
+ * Supported ratio closest to the given one (compared on a log scale, so that
+ * 2:1 and 1:2 are equally far from 1:1).
+ */
+function _nearestAspectRatio(value, ratios) {
+  let best = ratios[0];
+  for (const ratio of ratios) {
+    if (Math.abs(Math.log(_ratioValue(ratio) / value)) < Math.abs(Math.log(_ratioValue(best) / value))) {
+      best = ratio;
+    }
+  }
+  return best;
+}
+
+/**
+ * Greatest common divisor of two integers.
+ */
+function _gcd(a, b) {
+  return b ? _gcd(b, a % b) : a;
+}
+
+/**
+ * Upscale an image (or canvas) in steps of at most 2×, which keeps edges
+ * smoother than a single large bilinear stretch.
+ */
+function _resample(img, width, height) {
+  let source = img;
+  let currentWidth = img.naturalWidth ?? img.width;
+  let currentHeight = img.naturalHeight ?? img.height;
+  do {
+    currentWidth = Math.min(width, currentWidth * 2);
+    currentHeight = Math.min(height, currentHeight * 2);
+    const { canvas, ctx } = createCanvas(currentWidth, currentHeight);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    source = canvas;
+  } while (currentWidth < width || currentHeight < height);
+  return source;
+}
@@ -0,0 +1,255 @@
+/**
+ * NanoBanana Map Editor - Result Review
+ * Shared review step for the map, portrait and token flows. Generated images
+ * are shown against the original with a before/after slider, and nothing is
+ * uploaded or applied until the user accepts one of them.
+ */
+
+import { isAbortError } from "./api.js";
+import { runGenerationTask } from "./progress.js";
+import { escapeHtml } from "./html.js";
+
+/**
+ * Generate results and let the user review them until one is accepted.
+ *
+ * - **Accept** returns the selected result.
+ * - **Retry same prompt** repeats the last request.
+ * - **Refine** sends a follow-up instruction with the selected result as the new input.
+ *
+ * A failed or cancelled retry/refine returns to the previous results instead of
+ * ending the review. Cancelling the initial generation rejects with an AbortError.
+ *
+ * @param {object} options
+ * @param {string} options.title - Review window title
+ * @param {string} options.message - Status text shown while generating
+ * @param {string|null} [options.beforeSrc] - Image URL or data URI of the original;
+ *   without one the results are shown on their own, without the slider
+ * @param {function(AbortSignal): Promise<string[]>} options.generate - Initial generation
+ * @param {function(string, string, AbortSignal): Promise<string[]>} options.refine -
+ *   Follow-up generation from (inputBase64, instruction, signal)
+ * @returns {Promise<string|null>} The accepted base64 image, or null if discarded
+ */
+export async function reviewGeneration({ title, message, beforeSrc = null, generate, refine }) {
+  let request = generate;
+  let results = await runGenerationTask(message, (signal) => request(signal));
+
+  while (true) {
+    const choice = await showReviewDialog({ title, beforeSrc, results });
+    if (!choice) return null;
+    if (choice.action === "accept") return results[choice.index];
+
+    let nextRequest = request;
+    if (choice.action === "refine") {
+      if (!choice.instruction) {
+        ui.notifications.warn(game.i18n.localize("NANOBANANA.ReviewNoInstruction"));
+        continue;
+      }
+      const input = results[choice.index];
+      nextRequest = (signal) => refine(input, choice.instruction, signal);
+    }
+
+    try {
+      results = await runGenerationTask(message, (signal) => nextRequest(signal));
+      request = nextRequest;
+    } catch (err) {
+      if (isAbortError(err)) {
+        ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      } else {
+        console.error("nanobanana-map-editor | Review generation error:", err);
+        ui.notifications.error(
+          game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Show the review dialog for one or more generated results.
+ * @param {object} options
+ * @param {string} options.title - Window title
+ * @param {string|null} [options.beforeSrc] - Image URL or data URI of the original
+ * @param {string[]} options.results - Base64-encoded generated images
+ * @returns {Promise<object|null>} `{action: "accept", index}`, `{action: "retry"}`,
+ *   `{action: "refine", index, instruction}`, or null if discarded
+ */
+export async function showReviewDialog({ title, beforeSrc = null, results }) {
+  const firstSrc = `data:image/png;base64,${results[0]}`;
+
+  const variantsHtml = results.length > 1
+    ? `
+      <div class="form-group">
+        <div class="nanobanana-review-variants">
+          ${results
+            .map(
+              (base64, idx) => `
+            <label class="nanobanana-review-variant">
+              <input type="radio" name="variant" value="${idx}" ${idx === 0 ? "checked" : ""}/>
+              <img src="data:image/png;base64,${base64}" alt="#${idx + 1}"/>
+            </label>`
+            )
+            .join("")}
+        </div>
+      </div>`
+    : "";
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-review-dialog">
+      <div class="form-group">
+        <div class="nanobanana-compare">
+          ${beforeSrc ? `
+          <img class="compare-before" src="${beforeSrc}" alt="Before"/>
+          <img class="compare-after" src="${firstSrc}" alt="After"/>
+          <span class="compare-label compare-label-before">${game.i18n.localize("NANOBANANA.ReviewBefore")}</span>
+          <span class="compare-label compare-label-after">${game.i18n.localize("NANOBANANA.ReviewAfter")}</span>` : `
+          <img class="compare-after" src="${firstSrc}" alt="Result"/>`}
+        </div>
+        ${beforeSrc ? `<input type="range" class="nanobanana-compare-slider" min="0" max="100" value="50"/>` : ""}
+      </div>
+      ${variantsHtml}
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.ReviewRefineLabel")}</label>
+        <textarea name="refine" placeholder="${game.i18n.localize("NANOBANANA.ReviewRefinePlaceholder")}"></textarea>
+      </div>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form =
+      dialogRef?.element?.querySelector?.("form") ??
+      document.querySelector(".nanobanana-review-dialog");
+    return {
+      index: Number(form?.querySelector('[name="variant"]:checked')?.value ?? 0),
+      instruction: form?.querySelector('[name="refine"]')?.value?.trim() ?? "",
+    };
+  };
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title },
+      position: { width: 560 },
+      content,
+      buttons: [
+        {
+          action: "accept",
+          label: game.i18n.localize("NANOBANANA.ReviewAccept"),
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            resolve({ action: "accept", index: readForm(dialogRef).index });
+          },
+        },
+        {
+          action: "retry",
+          label: game.i18n.localize("NANOBANANA.ReviewRetry"),
+          icon: "fas fa-rotate",
+          callback: () => resolve({ action: "retry" }),
+        },
+        {
+          action: "refine",
+          label: game.i18n.localize("NANOBANANA.ReviewRefine"),
+          icon: "fas fa-pen",
+          callback: (event, button, dialogRef) => {
+            resolve({ action: "refine", ...readForm(dialogRef) });
+          },
+        },
+        {
+          action: "discard",
+          label: game.i18n.localize("NANOBANANA.ReviewDiscard"),
+          icon: "fas fa-trash",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+
+    dialog.render(true).then(() => _wireCompareControls(dialog.element, results));
+  });
+}
+
+/**
+ * Show several finished images side by side, each with a checkbox to accept
+ * or reject it. Used where a whole set of results is applied at once.
+ * @param {object} options
+ * @param {string} options.title - Window title
+ * @param {string} [options.hint] - Explanation shown above the images
+ * @param {Array<{base64: string, label: string, thumbSrc?: string}>} options.items - Images
+ *   with their caption and an optional small source image (e.g. the portrait)
+ * @returns {Promise<number[]|null>} Indices of the accepted items, or null if cancelled
+ */
+export async function showContactSheet({ title, hint = "", items }) {
+  const cards = items
+    .map(
+      (item, idx) => `
+        <label class="nanobanana-contact-card">
+          <input type="checkbox" name="accept-${idx}" checked/>
+          <img class="result" src="data:image/png;base64,${item.base64}" alt=""/>
+          ${item.thumbSrc ? `<img class="source" src="${escapeHtml(item.thumbSrc)}" alt=""/>` : ""}
+          <span class="name">${escapeHtml(item.label)}</span>
+        </label>`
+    )
+    .join("");
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title },
+      position: { width: 640 },
+      content: `
+        <form class="nanobanana-dialog nanobanana-contact-sheet">
+          ${hint ? `<p class="hint">${hint}</p>` : ""}
+          <div class="nanobanana-contact-cards">${cards}</div>
+        </form>
+      `,
+      buttons: [
+        {
+          action: "apply",
+          label: game.i18n.localize("NANOBANANA.BatchApply"),
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            const form =
+              dialogRef?.element?.querySelector?.("form") ??
+              document.querySelector(".nanobanana-contact-sheet");
+            resolve(items.map((item, idx) => idx).filter((idx) => form?.querySelector(`[name="accept-${idx}"]`)?.checked));
+          },
+        },
+        {
+          action: "cancel",
+          label: game.i18n.localize("NANOBANANA.DialogCancel"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Connect the before/after slider and the variant thumbnails.
+ */
+function _wireCompareControls(element, results) {
+  const root = element?.querySelector?.(".nanobanana-review-dialog");
+  if (!root) return;
+
+  const after = root.querySelector(".compare-after");
+  const slider = root.querySelector(".nanobanana-compare-slider");
+  if (slider) {
+    const update = () => {
+      after.style.clipPath = `inset(0 0 0 ${slider.value}%)`;
+    };
+    slider.addEventListener("input", update);
+    update();
+  }
+
+  for (const radio of root.querySelectorAll('[name="variant"]')) {
+    radio.addEventListener("change", () => {
+      after.src = `data:image/png;base64,${results[Number(radio.value)]}`;
+    });
+  }
+}
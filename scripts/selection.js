@@ -0,0 +1,604 @@
+/**
+ * NanoBanana Map Editor - Selection Tool
+ * Interactive canvas layer for choosing the map region to edit.
+ *
+ * Supported selection modes:
+ * - **Rectangle** – drag a box (Shift = square)
+ * - **Ellipse** – drag the bounding box of an ellipse (Shift = circle)
+ * - **Polygon** – click to add vertices; click the first vertex, double-click
+ *   or press Enter to close. Backspace removes the last vertex, Escape discards it.
+ * - **Lasso** – draw a freehand outline while holding the mouse button
+ * - **Drawing / Region** – click an existing Drawing or Scene Region to use its shape
+ *
+ * A finished selection is reported as its bounding rectangle plus, for
+ * non-rectangular modes, a shape in scene coordinates:
+ * `{type: "ellipse"}` (inscribed in the rectangle),
+ * `{type: "polygon", points: [{x, y}, ...]}`, or
+ * `{type: "polygons", polygons: [[{x, y}, ...], ...]}` for Regions made of
+ * several polygons or with holes (filled with the even-odd rule).
+ */
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Minimum width and height of a selection, in scene units. */
+const MIN_SELECTION_SIZE = 10;
+
+/** Screen distance (px) within which a click closes the polygon on its first vertex. */
+const CLOSE_DISTANCE = 12;
+
+/** Minimum distance (scene units) between two recorded lasso points. */
+const LASSO_SPACING = 4;
+
+/**
+ * Available selection modes and their toolbar appearance.
+ */
+export const SELECTION_MODES = {
+  rectangle: { icon: "fas fa-vector-square", label: "NANOBANANA.SelectRectangle" },
+  ellipse: { icon: "far fa-circle", label: "NANOBANANA.SelectEllipse" },
+  polygon: { icon: "fas fa-draw-polygon", label: "NANOBANANA.SelectPolygon" },
+  lasso: { icon: "fas fa-signature", label: "NANOBANANA.SelectLasso" },
+  marked: { icon: "fas fa-object-group", label: "NANOBANANA.SelectMarked" },
+};
+
+/**
+ * Convert a Drawing into a selection. Rectangles and ellipses keep their
+ * exact shape; rotated drawings, polygons and freehand drawings become polygons.
+ * @param {DrawingDocument} drawing
+ * @returns {{rect: object, shape: object|null}}
+ */
+export function selectionFromDrawing(drawing) {
+  const { x, y, rotation = 0, shape } = drawing;
+  const { width, height } = shape;
+  const types = CONST.DRAWING_TYPES;
+
+  let points;
+  if (shape.type === types.POLYGON || shape.type === types.FREEHAND) {
+    points = _pairPoints(shape.points);
+  } else if (shape.type === types.ELLIPSE) {
+    if (!rotation) return { rect: { x, y, width, height }, shape: { type: "ellipse" } };
+    points = _ellipsePoints(width / 2, height / 2, width / 2, height / 2);
+  } else {
+    if (!rotation) return { rect: { x, y, width, height }, shape: null };
+    points = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+  }
+
+  // Drawings rotate around their center
+  const angle = Math.toRadians(rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const cx = width / 2;
+  const cy = height / 2;
+  points = points.map((p) => ({
+    x: x + cx + (p.x - cx) * cos - (p.y - cy) * sin,
+    y: y + cy + (p.x - cx) * sin + (p.y - cy) * cos,
+  }));
+  return _polygonSelection([points]);
+}
+
+/**
+ * Convert a Scene Region into a selection covering all of its shapes.
+ * @param {RegionDocument} region
+ * @returns {{rect: object, shape: object}|null} Null if the region has no area
+ */
+export function selectionFromRegion(region) {
+  const polygons = (region.polygons ?? [])
+    .map((polygon) => _pairPoints(polygon.points))
+    .filter((points) => points.length >= 3);
+  return polygons.length ? _polygonSelection(polygons) : null;
+}
+
+/**
+ * Check whether a selection is large enough to be edited.
+ * @param {{rect: object}} selection
+ * @returns {boolean}
+ */
+export function isUsableSelection(selection) {
+  return !!selection && selection.rect.width >= MIN_SELECTION_SIZE && selection.rect.height >= MIN_SELECTION_SIZE;
+}
+
+/**
+ * Test whether a point lies inside a selection's shape.
+ * @param {{rect: object, shape: object|null}} selection
+ * @param {{x: number, y: number}} point - Point in scene coordinates
+ * @returns {boolean}
+ */
+export function selectionContains({ rect, shape }, { x, y }) {
+  if (x < rect.x || y < rect.y || x > rect.x + rect.width || y > rect.y + rect.height) return false;
+  if (shape?.type === "ellipse") {
+    const dx = (x - rect.x - rect.width / 2) / (rect.width / 2);
+    const dy = (y - rect.y - rect.height / 2) / (rect.height / 2);
+    return dx * dx + dy * dy <= 1;
+  }
+  if (!shape) return true;
+
+  // Even-odd ray casting over every polygon
+  const polygons = shape.type === "polygons" ? shape.polygons : [shape.points];
+  let inside = false;
+  for (const points of polygons) {
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * A PIXI container used as an interaction layer for drawing a selection.
+ * Renders the selection outline while the user draws on the canvas and shows
+ * a small toolbar for switching modes and grid snapping.
+ */
+export class NanoBananaSelectionLayer {
+  /**
+   * @param {function(object, object|null): void} onSelect - Called with the
+   *   bounding rectangle and the shape (null for rectangles) once a selection is finished
+   */
+  constructor(onSelect) {
+    this._onSelect = onSelect;
+    this._active = false;
+    this._startPoint = null;
+    this._points = [];
+    this._graphics = null;
+    this._container = null;
+    this._toolbar = null;
+    this._lastClick = 0;
+    this._mode = game.settings.get(MODULE_ID, "selectionMode");
+    this._snapToGrid = game.settings.get(MODULE_ID, "selectionSnap");
+  }
+
+  /** Activate the selection layer on the canvas */
+  activate() {
+    if (this._active) return;
+    this._active = true;
+
+    // Create a PIXI container for the selection outline
+    this._container = new PIXI.Container();
+    this._container.eventMode = "static";
+    // Large hit area covers the entire possible canvas area for pointer events
+    this._container.hitArea = new PIXI.Rectangle(
+      -1e7, -1e7, 2e7, 2e7
+    );
+    this._container.cursor = "crosshair";
+    this._graphics = new PIXI.Graphics();
+    this._container.addChild(this._graphics);
+
+    // Add to canvas above the tokens layer
+    canvas.stage.addChild(this._container);
+
+    // Bind event handlers
+    this._onPointerDown = this._handlePointerDown.bind(this);
+    this._onPointerMove = this._handlePointerMove.bind(this);
+    this._onPointerUp = this._handlePointerUp.bind(this);
+    this._onKeyDown = this._handleKeyDown.bind(this);
+
+    this._container.on("pointerdown", this._onPointerDown);
+    this._container.on("pointermove", this._onPointerMove);
+    this._container.on("pointerup", this._onPointerUp);
+    this._container.on("pointerupoutside", this._onPointerUp);
+    window.addEventListener("keydown", this._onKeyDown, true);
+
+    this._renderToolbar();
+  }
+
+  /** Deactivate and remove the selection layer */
+  deactivate() {
+    if (!this._active) return;
+    this._active = false;
+
+    window.removeEventListener("keydown", this._onKeyDown, true);
+    this._toolbar?.remove();
+    this._toolbar = null;
+
+    if (this._container) {
+      // Immediately disable event processing to prevent PixiJS from dispatching
+      // further events (pointerout, pointermove) on this container.
+      this._container.eventMode = "none";
+      this._container.interactiveChildren = false;
+
+      this._container.off("pointerdown", this._onPointerDown);
+      this._container.off("pointermove", this._onPointerMove);
+      this._container.off("pointerup", this._onPointerUp);
+      this._container.off("pointerupoutside", this._onPointerUp);
+
+      // Hide the container visually while it remains in the display tree.
+      this._container.visible = false;
+
+      // Purge this container from the PixiJS EventBoundary's internal
+      // "over targets" tracking. Without this, the EventBoundary would
+      // try to dispatch a pointerout event to the container after it has
+      // been removed from the stage, triggering "Cannot find propagation
+      // path to disconnected target".
+      const containerRef = this._container;
+      _purgeFromEventBoundary(containerRef);
+
+      // Temporarily suppress the specific PixiJS error as a safety net in
+      // case the EventBoundary internal API differs across PixiJS versions.
+      const removeHandler = _suppressDisconnectedTargetError();
+
+      // Defer removal from stage to avoid errors when deactivate is called
+      // during an event handler (e.g. pointerup). PixiJS EventBoundary may
+      // still reference the container for the remainder of the current
+      // event dispatch cycle.
+      requestAnimationFrame(() => {
+        if (containerRef.parent) {
+          containerRef.parent.removeChild(containerRef);
+        }
+        containerRef.destroy({ children: true });
+        // Keep the error handler active briefly after removal so it covers
+        // any pointer events that fire before PixiJS fully clears tracking.
+        setTimeout(removeHandler, 2000);
+      });
+
+      this._container = null;
+      this._graphics = null;
+    }
+    this._startPoint = null;
+    this._points = [];
+  }
+
+  /**
+   * Switch the selection mode, discarding any selection in progress.
+   * @param {string} mode - A key of SELECTION_MODES
+   */
+  setMode(mode) {
+    if (!(mode in SELECTION_MODES)) return;
+    this._mode = mode;
+    this._resetDrawing();
+    game.settings.set(MODULE_ID, "selectionMode", mode);
+    this._renderToolbar();
+  }
+
+  /** Toggle snapping of selection corners and vertices to the scene grid. */
+  toggleSnap() {
+    this._snapToGrid = !this._snapToGrid;
+    game.settings.set(MODULE_ID, "selectionSnap", this._snapToGrid);
+    this._renderToolbar();
+  }
+
+  _handlePointerDown(event) {
+    if (event.button !== undefined && event.button !== 0) return;
+    const pos = event.getLocalPosition(canvas.stage);
+
+    if (this._mode === "polygon") {
+      this._addPolygonPoint(this._snap(pos));
+      return;
+    }
+    if (this._mode === "marked") {
+      const selection = _findMarkedSelectionAt(pos);
+      if (selection) this._finish(selection.rect, selection.shape);
+      else ui.notifications.warn(game.i18n.localize("NANOBANANA.SelectNoMarked"));
+      return;
+    }
+
+    this._startPoint = this._mode === "lasso" ? { x: pos.x, y: pos.y } : this._snap(pos);
+    this._points = [this._startPoint];
+    this._graphics.clear();
+  }
+
+  _handlePointerMove(event) {
+    const pos = event.getLocalPosition(canvas.stage);
+
+    if (this._mode === "polygon") {
+      if (this._points.length) this._drawPolygon([...this._points, this._snap(pos)]);
+      return;
+    }
+    if (!this._startPoint) return;
+
+    if (this._mode === "lasso") {
+      const last = this._points.at(-1);
+      if (Math.hypot(pos.x - last.x, pos.y - last.y) >= LASSO_SPACING) {
+        this._points.push({ x: pos.x, y: pos.y });
+      }
+      this._drawPolygon(this._points);
+      return;
+    }
+
+    const rect = this._rectFromDrag(this._startPoint, pos, event.shiftKey);
+    this._drawShape(rect, this._mode === "ellipse" ? { type: "ellipse" } : null);
+  }
+
+  _handlePointerUp(event) {
+    if (!this._startPoint || this._mode === "polygon") return;
+    const pos = event.getLocalPosition(canvas.stage);
+
+    if (this._mode === "lasso") {
+      const points = this._points;
+      this._resetDrawing();
+      this._finishPolygon(points);
+      return;
+    }
+
+    const rect = this._rectFromDrag(this._startPoint, pos, event.shiftKey);
+    this._resetDrawing();
+    this._finish(rect, this._mode === "ellipse" ? { type: "ellipse" } : null);
+  }
+
+  _handleKeyDown(event) {
+    if (this._mode !== "polygon" || !this._points.length) return;
+    if (event.target?.closest?.("input, textarea, select, [contenteditable]")) return;
+
+    if (event.key === "Enter") {
+      const points = this._points;
+      this._resetDrawing();
+      this._finishPolygon(points);
+    } else if (event.key === "Escape") {
+      this._resetDrawing();
+    } else if (event.key === "Backspace") {
+      this._points.pop();
+      this._drawPolygon(this._points);
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Add a polygon vertex, closing the polygon when the first vertex is clicked
+   * again or on a double-click.
+   */
+  _addPolygonPoint(point) {
+    const now = Date.now();
+    const isDoubleClick = now - this._lastClick < 300;
+    this._lastClick = now;
+
+    const first = this._points[0];
+    const closeDistance = CLOSE_DISTANCE / canvas.stage.scale.x;
+    const closesOnFirst =
+      this._points.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) <= closeDistance;
+
+    if (closesOnFirst || (isDoubleClick && this._points.length >= 3)) {
+      const points = this._points;
+      this._resetDrawing();
+      this._finishPolygon(points);
+      return;
+    }
+
+    this._points.push(point);
+    this._drawPolygon(this._points);
+  }
+
+  /** Report a finished polygon or lasso outline. */
+  _finishPolygon(points) {
+    if (points.length < 3) return;
+    const rect = _boundingRect(points);
+    this._finish(rect, { type: "polygon", points: points.map(({ x, y }) => ({ x, y })) });
+  }
+
+  /** Report a finished selection if it is large enough. */
+  _finish(rect, shape) {
+    // Minimum selection size check
+    if (!isUsableSelection({ rect })) return;
+
+    // Deactivate selection before processing
+    this.deactivate();
+    this._onSelect(rect, shape);
+  }
+
+  _resetDrawing() {
+    this._startPoint = null;
+    this._points = [];
+    this._graphics?.clear();
+  }
+
+  /**
+   * Rectangle spanned by a drag, constrained to a square with Shift.
+   */
+  _rectFromDrag(start, end, square) {
+    end = this._snap(end);
+    if (square) {
+      const size = Math.max(Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+      end = {
+        x: start.x + Math.sign(end.x - start.x || 1) * size,
+        y: start.y + Math.sign(end.y - start.y || 1) * size,
+      };
+    }
+    return this._normalizeRect(start, end);
+  }
+
+  _drawShape(rect, shape) {
+    const g = this._graphics;
+    g.clear();
+    g.lineStyle(2, 0xff6600, 1);
+    g.beginFill(0xff6600, 0.15);
+    if (shape?.type === "ellipse") {
+      g.drawEllipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2);
+    } else {
+      g.drawRect(rect.x, rect.y, rect.width, rect.height);
+    }
+    g.endFill();
+  }
+
+  _drawPolygon(points) {
+    const g = this._graphics;
+    g.clear();
+    if (!points.length) return;
+    g.lineStyle(2, 0xff6600, 1);
+    g.beginFill(0xff6600, 0.15);
+    g.moveTo(points[0].x, points[0].y);
+    for (const p of points.slice(1)) g.lineTo(p.x, p.y);
+    g.endFill();
+
+    // Vertex handles for click-placed polygons
+    if (this._mode === "polygon") {
+      const radius = 4 / canvas.stage.scale.x;
+      g.lineStyle(0);
+      g.beginFill(0xff6600, 1);
+      for (const p of this._points) g.drawCircle(p.x, p.y, radius);
+      g.endFill();
+    }
+  }
+
+  _normalizeRect(start, end) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    const width = Math.abs(end.x - start.x);
+    const height = Math.abs(end.y - start.y);
+    return { x, y, width, height };
+  }
+
+  /** Snap a point to the nearest grid vertex when grid snapping is enabled. */
+  _snap(point) {
+    const grid = canvas.grid;
+    if (!this._snapToGrid || !grid || grid.type === CONST.GRID_TYPES.GRIDLESS) {
+      return { x: point.x, y: point.y };
+    }
+    return grid.getSnappedPoint({ x: point.x, y: point.y }, { mode: CONST.GRID_SNAPPING_MODES.VERTEX });
+  }
+
+  /** Create or refresh the mode toolbar shown while the tool is active. */
+  _renderToolbar() {
+    if (!this._active) return;
+    if (!this._toolbar) {
+      this._toolbar = document.createElement("div");
+      this._toolbar.className = "nanobanana-selection-toolbar";
+      this._toolbar.addEventListener("click", (ev) => {
+        const button = ev.target.closest("button");
+        if (!button) return;
+        ev.preventDefault();
+        if (button.dataset.mode) this.setMode(button.dataset.mode);
+        else if (button.dataset.action === "snap") this.toggleSnap();
+        else if (button.dataset.action === "cancel") this.deactivate();
+      });
+      document.body.append(this._toolbar);
+    }
+
+    const modeButtons = Object.entries(SELECTION_MODES)
+      .map(
+        ([mode, { icon, label }]) => `
+        <button type="button" data-mode="${mode}" class="${mode === this._mode ? "active" : ""}"
+          data-tooltip="${game.i18n.localize(label)}" aria-label="${game.i18n.localize(label)}">
+          <i class="${icon}"></i>
+        </button>`
+      )
+      .join("");
+
+    this._toolbar.innerHTML = `
+      ${modeButtons}
+      <span class="separator"></span>
+      <button type="button" data-action="snap" class="${this._snapToGrid ? "active" : ""}"
+        data-tooltip="${game.i18n.localize("NANOBANANA.SelectSnap")}" aria-label="${game.i18n.localize("NANOBANANA.SelectSnap")}">
+        <i class="fas fa-border-all"></i>
+      </button>
+      <button type="button" data-action="cancel"
+        data-tooltip="${game.i18n.localize("Cancel")}" aria-label="${game.i18n.localize("Cancel")}">
+        <i class="fas fa-times"></i>
+      </button>
+      <span class="hint">${game.i18n.localize(`NANOBANANA.SelectHint${this._mode.capitalize()}`)}</span>
+    `;
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Find the topmost visible Drawing, then Region, whose shape contains a point.
+ * @returns {{rect: object, shape: object|null}|null}
+ */
+function _findMarkedSelectionAt(point) {
+  const drawings = [...(canvas.drawings?.placeables ?? [])].filter((d) => d.visible).reverse();
+  for (const drawing of drawings) {
+    const selection = selectionFromDrawing(drawing.document);
+    if (selectionContains(selection, point)) return selection;
+  }
+  const regions = [...(canvas.regions?.placeables ?? [])].filter((r) => r.visible).reverse();
+  for (const region of regions) {
+    const selection = selectionFromRegion(region.document);
+    if (selection && selectionContains(selection, point)) return selection;
+  }
+  return null;
+}
+
+/**
+ * Build a polygon selection from one or more point lists.
+ */
+function _polygonSelection(polygons) {
+  const rect = _boundingRect(polygons.flat());
+  const shape = polygons.length === 1
+    ? { type: "polygon", points: polygons[0] }
+    : { type: "polygons", polygons };
+  return { rect, shape };
+}
+
+/**
+ * Convert a flat [x0, y0, x1, y1, ...] array into point objects.
+ */
+function _pairPoints(flat = []) {
+  const points = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) points.push({ x: flat[i], y: flat[i + 1] });
+  return points;
+}
+
+/**
+ * Approximate an ellipse with a polygon.
+ */
+function _ellipsePoints(cx, cy, rx, ry, segments = 64) {
+  return Array.from({ length: segments }, (_, i) => {
+    const t = (i / segments) * Math.PI * 2;
+    return { x: cx + rx * Math.cos(t), y: cy + ry * Math.sin(t) };
+  });
+}
+
+/**
+ * Axis-aligned bounding rectangle of a list of points.
+ */
+function _boundingRect(points) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Remove a display object from the PixiJS EventBoundary's internal "over
+ * targets" tracking table.  This prevents "Cannot find propagation path to
+ * disconnected target" errors when the object is later removed from the stage.
+ *
+ * @param {PIXI.Container} target - The display object to purge
+ */
+function _purgeFromEventBoundary(target) {
+  try {
+    const boundary = canvas.app?.renderer?.events?.rootBoundary;
+    if (!boundary) return;
+
+    // PixiJS EventBoundary tracks which targets each pointer is "over"
+    // in the `overTargets` property (Record<number, Container[]>).
+    const overTargets = boundary.overTargets;
+    if (!overTargets || typeof overTargets !== "object") return;
+
+    for (const key of Object.keys(overTargets)) {
+      const targets = overTargets[key];
+      if (Array.isArray(targets)) {
+        overTargets[key] = targets.filter((t) => t !== target);
+      }
+    }
+  } catch {
+    // Best-effort cleanup; ignore errors from unexpected PixiJS internals.
+  }
+}
+
+/**
+ * Install a temporary window-level error handler that suppresses the PixiJS
+ * EventBoundary "disconnected target" error.  Returns a function that removes
+ * the handler when called.
+ *
+ * @returns {function} Cleanup function to remove the handler
+ */
+function _suppressDisconnectedTargetError() {
+  const handler = (event) => {
+    if (
+      event.error?.message?.includes(
+        "Cannot find propagation path to disconnected target"
+      )
+    ) {
+      console.debug("nanobanana-map-editor | Suppressed PixiJS disconnected target error during cleanup");
+      event.preventDefault();
+    }
+  };
+  window.addEventListener("error", handler);
+  return () => window.removeEventListener("error", handler);
+}
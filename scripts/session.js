@@ -0,0 +1,281 @@
+/**
+ * NanoBanana Map Editor - Editing Sessions
+ * Multi-turn conversational editing of a captured region or a portrait.
+ *
+ * A session keeps every prompt, the model's text replies and the images it
+ * produced, so follow-up instructions build on earlier turns instead of
+ * starting over. Images are uploaded as they are produced and referenced by
+ * path, which lets the session be stored in the flags of the tile or actor it
+ * was applied to and resumed later.
+ */
+
+import {
+  getModelChoices,
+  getDefaultModel,
+  sendConversationTurn,
+  isAbortError,
+} from "./api.js";
+import { runGenerationTask } from "./progress.js";
+import { loadImageAsBase64, uploadImage } from "./portrait.js";
+import { escapeHtml } from "./html.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/**
+ * An editing conversation with the image model.
+ */
+export class EditSession {
+  /**
+   * @param {object} data
+   * @param {string} data.source - Path of the image the session started from
+   * @param {Array<object>} [data.turns] - Stored turns, oldest first
+   * @param {string} [data.model] - Model ID last used in the session
+   */
+  constructor({ source, turns = [], model = null }) {
+    this.source = source;
+    this.turns = turns;
+    this.model = model;
+
+    /** Base64 data for images already loaded in this browser session, keyed by path. */
+    this._cache = new Map();
+  }
+
+  /**
+   * Restore a session from the flags of a tile or actor document.
+   * @param {ClientDocument} document - Tile or Actor document
+   * @returns {EditSession|null}
+   */
+  static fromDocument(document) {
+    const data = document.getFlag(MODULE_ID, "session");
+    return data?.source ? new EditSession(data) : null;
+  }
+
+  /**
+   * Path of the most recent image in the session (the source if no turn produced one yet).
+   * @type {string}
+   */
+  get latestImage() {
+    return this.turns.findLast((turn) => turn.role === "model" && turn.image)?.image ?? this.source;
+  }
+
+  /**
+   * Load the base64 data of a session image, using the in-memory cache when possible.
+   * @param {string} path - Image path
+   * @returns {Promise<string>}
+   */
+  async getImage(path) {
+    if (!this._cache.has(path)) this._cache.set(path, await loadImageAsBase64(path));
+    return this._cache.get(path);
+  }
+
+  /**
+   * Send a new instruction to the model, building on all previous turns.
+   * The resulting image is uploaded and appended to the session.
+   * @param {string} prompt - The follow-up instruction
+   * @param {object} options
+   * @param {string} [options.model] - Model ID to use
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<object>} The new model turn
+   */
+  async send(prompt, { model, signal } = {}) {
+    const history = [];
+    for (const turn of this.turns) {
+      history.push({
+        role: turn.role,
+        images: turn.image ? [await this.getImage(turn.image)] : [],
+        text: turn.text,
+        signature: turn.signature,
+      });
+    }
+
+    // The first turn of a (re)started session carries the source image
+    const isFirstTurn = this.turns.length === 0;
+    const images = isFirstTurn ? [{ base64: await this.getImage(this.source) }] : [];
+
+    const reply = await sendConversationTurn(history, images, { prompt, model, signal });
+    const path = await uploadImage(reply.image, "nanobanana-session");
+    this._cache.set(path, reply.image);
+
+    const userTurn = { role: "user", text: prompt, image: isFirstTurn ? this.source : null };
+    const modelTurn = { role: "model", text: reply.text, image: path, signature: reply.signature };
+    this.turns.push(userTurn, modelTurn);
+    this.model = model ?? this.model;
+    return modelTurn;
+  }
+
+  /**
+   * Start over from the most recent image, discarding the conversation history.
+   */
+  restart() {
+    this.source = this.latestImage;
+    this.turns = [];
+  }
+
+  /**
+   * Serialize the session for storage in document flags.
+   * @returns {object}
+   */
+  toObject() {
+    return {
+      source: this.source,
+      turns: this.turns.map((turn) => ({ ...turn })),
+      model: this.model,
+      updated: Date.now(),
+    };
+  }
+}
+
+/**
+ * Run the interactive session dialog until the user applies the latest image
+ * or closes the session.
+ *
+ * @param {EditSession} session - The session to continue
+ * @param {object} options
+ * @param {string} options.title - Window title
+ * @param {string} [options.initialPrompt] - Instruction to send before showing the dialog
+ * @param {string} [options.model] - Model ID for the initial prompt
+ * @param {function(string, EditSession): Promise<void>} options.onApply - Called with the
+ *   latest image path when the user applies the result
+ * @returns {Promise<boolean>} True if the result was applied
+ */
+export async function runEditSession(session, { title, initialPrompt, model, onApply }) {
+  let pendingPrompt = initialPrompt;
+  let currentModel = model ?? session.model ?? getDefaultModel();
+
+  while (true) {
+    if (pendingPrompt) {
+      try {
+        await runGenerationTask(
+          game.i18n.localize("NANOBANANA.Generating"),
+          (signal) => session.send(pendingPrompt, { model: currentModel, signal })
+        );
+      } catch (err) {
+        if (isAbortError(err)) {
+          ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+        } else {
+          console.error(`${MODULE_ID} | Session error:`, err);
+          ui.notifications.error(
+            game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message })
+          );
+        }
+      }
+      pendingPrompt = null;
+    }
+
+    const choice = await _showSessionDialog(session, title, currentModel);
+    if (!choice) return false;
+    if (choice.model) currentModel = choice.model;
+
+    if (choice.action === "send") {
+      if (!choice.prompt) ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+      pendingPrompt = choice.prompt;
+    } else if (choice.action === "restart") {
+      session.restart();
+    } else if (choice.action === "apply") {
+      if (!session.turns.length) {
+        ui.notifications.warn(game.i18n.localize("NANOBANANA.SessionNothingToApply"));
+        continue;
+      }
+      await onApply(session.latestImage, session);
+      return true;
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Show the session log with a prompt box for the next instruction.
+ * @returns {Promise<{action: string, prompt?: string, model?: string}|null>}
+ */
+async function _showSessionDialog(session, title, currentModel) {
+  const modelOptions = Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
+    .join("");
+
+  const turnsHtml = session.turns.length
+    ? session.turns
+        .map(
+          (turn) => `
+        <div class="nanobanana-session-turn ${turn.role}">
+          ${turn.image ? `<img src="${escapeHtml(turn.image)}" alt=""/>` : ""}
+          ${turn.text ? `<p>${escapeHtml(turn.text)}</p>` : ""}
+        </div>`
+        )
+        .join("")
+    : `
+        <div class="nanobanana-session-turn user">
+          <img src="${escapeHtml(session.source)}" alt=""/>
+          <p>${game.i18n.localize("NANOBANANA.SessionEmpty")}</p>
+        </div>`;
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-session-dialog">
+      <div class="form-group">
+        <div class="nanobanana-session-log">${turnsHtml}</div>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.SessionPromptLabel")}</label>
+        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.SessionPromptPlaceholder")}"></textarea>
+      </div>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form =
+      dialogRef?.element?.querySelector?.("form") ??
+      document.querySelector(".nanobanana-session-dialog");
+    return {
+      prompt: form?.querySelector('[name="prompt"]')?.value?.trim() ?? "",
+      model: form?.querySelector('[name="model"]')?.value,
+    };
+  };
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title },
+      position: { width: 520 },
+      content,
+      buttons: [
+        {
+          action: "send",
+          label: game.i18n.localize("NANOBANANA.SessionSend"),
+          icon: "fas fa-paper-plane",
+          default: true,
+          callback: (event, button, dialogRef) => resolve({ action: "send", ...readForm(dialogRef) }),
+        },
+        {
+          action: "apply",
+          label: game.i18n.localize("NANOBANANA.SessionApply"),
+          icon: "fas fa-check",
+          callback: (event, button, dialogRef) => resolve({ action: "apply", ...readForm(dialogRef) }),
+        },
+        {
+          action: "restart",
+          label: game.i18n.localize("NANOBANANA.SessionRestart"),
+          icon: "fas fa-rotate-left",
+          callback: (event, button, dialogRef) => resolve({ action: "restart", ...readForm(dialogRef) }),
+        },
+        {
+          action: "close",
+          label: game.i18n.localize("NANOBANANA.SessionClose"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+
+    // Keep the newest turn in view
+    dialog.render(true).then(() => {
+      const log = dialog.element?.querySelector?.(".nanobanana-session-log");
+      if (log) log.scrollTop = log.scrollHeight;
+    });
+  });
+}
@@ -1,13 +1,30 @@
 /**
  * NanoBanana Map Editor - Module Settings
- * Registers all module settings for the Google Generative AI (Gemini / Imagen) integration.
+ * Registers all module settings for the image generation providers
+ * (Google Generative AI, OpenAI-compatible, Automatic1111).
  */
 
-import { NANOBANANA_MODELS } from "./api.js";
+import { PROVIDERS } from "./providers.js";
+import { CAPTURE_LAYERS } from "./capture.js";
+import { OUTPUT_MODES } from "./background.js";
 
 const MODULE_ID = "nanobanana-map-editor";
 
 export function registerSettings() {
+  game.settings.register(MODULE_ID, "provider", {
+    name: game.i18n.localize("NANOBANANA.SettingsProvider"),
+    hint: game.i18n.localize("NANOBANANA.SettingsProviderHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "gemini",
+    choices: Object.fromEntries(
+      Object.entries(PROVIDERS).map(([id, provider]) => [id, game.i18n.localize(provider.label)])
+    ),
+  });
+
+  /* Google Generative AI (Gemini) */
+
   game.settings.register(MODULE_ID, "apiKey", {
     name: game.i18n.localize("NANOBANANA.SettingsApiKey"),
     hint: game.i18n.localize("NANOBANANA.SettingsApiKeyHint"),
@@ -17,14 +34,207 @@ export function registerSettings() {
     default: "",
   });
 
+  game.settings.register(MODULE_ID, "geminiBaseUrl", {
+    name: game.i18n.localize("NANOBANANA.SettingsGeminiBaseUrl"),
+    hint: game.i18n.localize("NANOBANANA.SettingsGeminiBaseUrlHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: PROVIDERS.gemini.defaultBaseUrl,
+  });
+
   game.settings.register(MODULE_ID, "model", {
     name: game.i18n.localize("NANOBANANA.SettingsModel"),
     hint: game.i18n.localize("NANOBANANA.SettingsModelHint"),
     scope: "world",
     config: true,
     type: String,
-    default: "gemini-2.5-flash-image",
-    choices: NANOBANANA_MODELS,
+    default: PROVIDERS.gemini.defaultModel,
+    choices: PROVIDERS.gemini.models,
+  });
+
+  /* OpenAI-compatible images API */
+
+  game.settings.register(MODULE_ID, "openaiApiKey", {
+    name: game.i18n.localize("NANOBANANA.SettingsOpenaiApiKey"),
+    hint: game.i18n.localize("NANOBANANA.SettingsOpenaiApiKeyHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+  });
+
+  game.settings.register(MODULE_ID, "openaiBaseUrl", {
+    name: game.i18n.localize("NANOBANANA.SettingsOpenaiBaseUrl"),
+    hint: game.i18n.localize("NANOBANANA.SettingsOpenaiBaseUrlHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: PROVIDERS.openai.defaultBaseUrl,
+  });
+
+  game.settings.register(MODULE_ID, "openaiModel", {
+    name: game.i18n.localize("NANOBANANA.SettingsOpenaiModel"),
+    hint: game.i18n.localize("NANOBANANA.SettingsOpenaiModelHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: PROVIDERS.openai.defaultModel,
+    choices: PROVIDERS.openai.models,
+  });
+
+  /* Self-hosted Automatic1111 / Stable Diffusion WebUI */
+
+  game.settings.register(MODULE_ID, "sdBaseUrl", {
+    name: game.i18n.localize("NANOBANANA.SettingsSdBaseUrl"),
+    hint: game.i18n.localize("NANOBANANA.SettingsSdBaseUrlHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: PROVIDERS.automatic1111.defaultBaseUrl,
+  });
+
+  game.settings.register(MODULE_ID, "sdApiKey", {
+    name: game.i18n.localize("NANOBANANA.SettingsSdApiKey"),
+    hint: game.i18n.localize("NANOBANANA.SettingsSdApiKeyHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+  });
+
+  game.settings.register(MODULE_ID, "sdModel", {
+    name: game.i18n.localize("NANOBANANA.SettingsSdModel"),
+    hint: game.i18n.localize("NANOBANANA.SettingsSdModelHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: PROVIDERS.automatic1111.defaultModel,
+    choices: PROVIDERS.automatic1111.models,
+  });
+
+  /* Map editing */
+
+  game.settings.register(MODULE_ID, "contextMargin", {
+    name: game.i18n.localize("NANOBANANA.SettingsContextMargin"),
+    hint: game.i18n.localize("NANOBANANA.SettingsContextMarginHint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 512, step: 8 },
+    default: 64,
+  });
+
+  game.settings.register(MODULE_ID, "featherRadius", {
+    name: game.i18n.localize("NANOBANANA.SettingsFeatherRadius"),
+    hint: game.i18n.localize("NANOBANANA.SettingsFeatherRadiusHint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 128, step: 2 },
+    default: 16,
+  });
+
+  game.settings.register(MODULE_ID, "upscaleResults", {
+    name: game.i18n.localize("NANOBANANA.SettingsUpscaleResults"),
+    hint: game.i18n.localize("NANOBANANA.SettingsUpscaleResultsHint"),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "outputMode", {
+    name: game.i18n.localize("NANOBANANA.SettingsOutputMode"),
+    hint: game.i18n.localize("NANOBANANA.SettingsOutputModeHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.entries(OUTPUT_MODES).map(([id, label]) => [id, game.i18n.localize(label)])
+    ),
+    default: "tile",
+  });
+
+  /* Capture layers (defaults for the map edit dialog) */
+
+  for (const { setting, label, default: defaultValue } of Object.values(CAPTURE_LAYERS)) {
+    game.settings.register(MODULE_ID, setting, {
+      name: game.i18n.format("NANOBANANA.SettingsCaptureLayer", { layer: game.i18n.localize(label) }),
+      hint: game.i18n.localize("NANOBANANA.SettingsCaptureLayerHint"),
+      scope: "world",
+      config: true,
+      type: Boolean,
+      default: defaultValue,
+    });
+  }
+
+  /* Selection tool (remembered per client) */
+
+  game.settings.register(MODULE_ID, "selectionMode", {
+    scope: "client",
+    config: false,
+    type: String,
+    default: "rectangle",
+  });
+
+  game.settings.register(MODULE_ID, "selectionSnap", {
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+  });
+
+  /* Condition tokens */
+
+  game.settings.register(MODULE_ID, "conditionHpPath", {
+    name: game.i18n.localize("NANOBANANA.SettingsConditionHpPath"),
+    hint: game.i18n.localize("NANOBANANA.SettingsConditionHpPathHint"),
+    scope: "world",
+    config: true,
+    type: String,
+    default: "system.attributes.hp",
+  });
+
+  game.settings.register(MODULE_ID, "conditionBloodiedThreshold", {
+    name: game.i18n.localize("NANOBANANA.SettingsConditionBloodied"),
+    hint: game.i18n.localize("NANOBANANA.SettingsConditionBloodiedHint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 10, max: 90, step: 5 },
+    default: 50,
+  });
+
+  /* Request handling */
+
+  game.settings.register(MODULE_ID, "requestTimeout", {
+    name: game.i18n.localize("NANOBANANA.SettingsRequestTimeout"),
+    hint: game.i18n.localize("NANOBANANA.SettingsRequestTimeoutHint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 10, max: 600, step: 10 },
+    default: 120,
+  });
+
+  game.settings.register(MODULE_ID, "maxRetries", {
+    name: game.i18n.localize("NANOBANANA.SettingsMaxRetries"),
+    hint: game.i18n.localize("NANOBANANA.SettingsMaxRetriesHint"),
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 10, step: 1 },
+    default: 3,
+  });
+
+  game.settings.register(MODULE_ID, "debugLogging", {
+    name: game.i18n.localize("NANOBANANA.SettingsDebugLogging"),
+    hint: game.i18n.localize("NANOBANANA.SettingsDebugLoggingHint"),
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
   });
 }
 
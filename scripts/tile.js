@@ -1,6 +1,18 @@
 /**
  * NanoBanana Map Editor - Tile Placement
  * Places the AI-generated image as a tile on the canvas.
+ *
+ * Generated tiles record their provenance in the module flags:
+ * - `prompt`, `model`, `provider` – how the current version was generated
+ * - `source` – path of the uploaded map capture the edit started from
+ * - `captureFrame` / `region` / `shape` / `feather` – the scene area of that
+ *   capture, the tile's area inside it, the selection shape and its edge feather
+ * - `versions` – every image applied to the tile, `{path, prompt, model, provider, timestamp}`
+ * - `version` – index of the version shown, or -1 for the original map pixels
+ * - `session` – the editing session that can be resumed on the tile, with
+ *   `frame`, the scene area its images cover, for sessions on a map region,
+ *   or `sessionAlpha`, the texture whose alpha they get, for sessions on the
+ *   tile's own texture
  */
 
 const MODULE_ID = "nanobanana-map-editor";
@@ -13,9 +25,10 @@ const MODULE_ID = "nanobanana-map-editor";
  * @param {number} rect.y - Top edge
  * @param {number} rect.width - Width
  * @param {number} rect.height - Height
+ * @param {object} [flags] - Additional module flags to store on the tile
  * @returns {Promise<TileDocument>} The created tile document
  */
-export async function placeTile(imageBase64, rect) {
+export async function placeTile(imageBase64, rect, flags = {}) {
   // Convert base64 to a File object
   const byteString = atob(imageBase64);
   const ab = new ArrayBuffer(byteString.length);
@@ -46,7 +59,26 @@ export async function placeTile(imageBase64, rect) {
     throw new Error("Failed to upload generated image to server.");
   }
 
-  const imagePath = uploadResponse.path;
+  return placeTileFromPath(uploadResponse.path, rect, { timestamp, ...flags });
+}
+
+/**
+ * Place an already uploaded image as a tile at the specified position.
+ * @param {string} imagePath - Path of the uploaded image
+ * @param {object} rect - The position/size rectangle in scene coordinates
+ * @param {object} [flags] - Additional module flags to store on the tile. When a
+ *   `prompt` is given, the image is recorded as the tile's first version.
+ * @returns {Promise<TileDocument>} The created tile document
+ */
+export async function placeTileFromPath(imagePath, rect, flags = {}) {
+  if (flags.prompt !== undefined) {
+    const { prompt, model, provider } = flags;
+    flags = {
+      ...flags,
+      versions: [{ path: imagePath, prompt, model, provider, timestamp: Date.now() }],
+      version: 0,
+    };
+  }
 
   // Create the tile on the current scene
   const tileData = {
@@ -57,7 +89,7 @@ export async function placeTile(imageBase64, rect) {
     height: rect.height,
     overhead: false,
     flags: {
-      [MODULE_ID]: { generated: true, timestamp },
+      [MODULE_ID]: { generated: true, timestamp: Date.now(), ...flags },
     },
   };
 
@@ -65,3 +97,46 @@ export async function placeTile(imageBase64, rect) {
   const [tile] = await scene.createEmbeddedDocuments("Tile", [tileData]);
   return tile;
 }
+
+/**
+ * Apply a new image to a tile and append it to the tile's versions. Tiles
+ * without recorded versions start with their current texture as the first one.
+ * @param {TileDocument} tile - The tile document
+ * @param {string} imagePath - Path of the uploaded image
+ * @param {object} provenance - How the image was generated
+ * @param {string} provenance.prompt - Prompt used
+ * @param {string} provenance.model - Model ID used
+ * @param {string} provenance.provider - Provider ID used
+ * @param {object} [flags] - Additional module flags to update
+ * @returns {Promise<TileDocument>}
+ */
+export async function addTileVersion(tile, imagePath, { prompt, model, provider }, flags = {}) {
+  const previous = tile.getFlag(MODULE_ID, "versions") ?? [
+    { path: tile.texture.src, prompt: null, model: null, provider: null, timestamp: Date.now() },
+  ];
+  const versions = [...previous, { path: imagePath, prompt, model, provider, timestamp: Date.now() }];
+  return tile.update({
+    "texture.src": imagePath,
+    [`flags.${MODULE_ID}`]: { ...flags, prompt, model, provider, versions, version: versions.length - 1 },
+  });
+}
+
+/**
+ * Show one of a tile's recorded versions.
+ * @param {TileDocument} tile - The tile document
+ * @param {number} index - Index into the tile's versions
+ * @returns {Promise<TileDocument>}
+ */
+export async function setTileVersion(tile, index) {
+  const version = tile.getFlag(MODULE_ID, "versions")?.[index];
+  if (!version) return tile;
+  return tile.update({
+    "texture.src": version.path,
+    [`flags.${MODULE_ID}`]: {
+      version: index,
+      prompt: version.prompt,
+      model: version.model,
+      provider: version.provider,
+    },
+  });
+}
@@ -0,0 +1,369 @@
+/**
+ * NanoBanana Map Editor - Scene Variants
+ * Restyled versions of a whole scene (e.g. "same map at night in snow"),
+ * stored as alternate backgrounds that can be switched at runtime.
+ *
+ * Variants are kept in the scene flags: `sceneVariants` lists them in order,
+ * `{name, path, prompt, model, provider, timestamp}`, starting with the
+ * original background; `sceneVariant` is the index of the one shown. Every
+ * variant is generated from the original background at its native size, so
+ * walls, lights and tokens stay aligned whichever variant is active.
+ * Flattening, baking edits and background history write the background
+ * directly; those changes belong to the variant shown at the time, whose
+ * path is updated from the scene's background whenever variants are read.
+ *
+ * Backgrounds larger than the model's working size are restyled in
+ * overlapping sections whose seams are blended, so variants keep the
+ * original resolution.
+ */
+
+import { getActiveProvider, getModelChoices, getDefaultModel, isProviderConfigured, isAbortError, generateImageVariants } from "./api.js";
+import { getSetting } from "./settings.js";
+import { renderSceneBackground } from "./background.js";
+import { loadBase64Image, createCanvas, canvasToBase64 } from "./image.js";
+import { fitToModel, registerResult } from "./resolution.js";
+import { reviewGeneration } from "./review.js";
+import { uploadImage } from "./portrait.js";
+import { escapeHtml } from "./html.js";
+
+const MODULE_ID = "nanobanana-map-editor";
+
+/** Section size for providers without a working size. */
+const DEFAULT_SECTION_SIZE = 1024;
+
+/** Overlap between neighbouring sections, blended to hide the seams. */
+const SECTION_OVERLAP = 96;
+
+/**
+ * Instruction sent ahead of the user's prompt.
+ */
+const RESTYLE_INSTRUCTION =
+  "Restyle this top-down map as described below. Keep the layout exactly as it is: every wall, door, path, " +
+  "building, object and the framing stay in place. Only change lighting, weather, season, colors or condition.";
+
+/** Added when the map is restyled in sections. */
+const SECTION_INSTRUCTION = "The image is one section of a larger map; restyle it consistently.";
+
+/**
+ * Open the variants panel of a scene: switch variants or generate a new one.
+ * @param {Scene} scene - The scene
+ * @returns {Promise<void>}
+ */
+export async function openSceneVariants(scene) {
+  const choice = await _showVariantsDialog(scene);
+  if (!choice) return;
+
+  try {
+    if (choice.action === "create") await createSceneVariant(scene, choice);
+    else if (choice.index !== (scene.getFlag(MODULE_ID, "sceneVariant") ?? 0)) {
+      await setSceneVariant(scene, choice.index);
+    }
+  } catch (err) {
+    if (isAbortError(err)) {
+      ui.notifications.info(game.i18n.localize("NANOBANANA.GenerationCancelled"));
+      return;
+    }
+    console.error(`${MODULE_ID} | Scene variant error:`, err);
+    ui.notifications.error(game.i18n.format("NANOBANANA.ErrorApiFailed", { error: err.message }));
+  }
+}
+
+/**
+ * Generate a restyled variant of a scene's original background, review it,
+ * and store and show it as a new variant.
+ * @param {Scene} scene - The scene
+ * @param {object} options
+ * @param {string} options.name - Variant name
+ * @param {string} options.prompt - How to restyle the map
+ * @param {string} [options.model] - Model ID
+ * @returns {Promise<Scene|null>} The updated scene, or null if the result was discarded
+ */
+export async function createSceneVariant(scene, { name, prompt, model = getDefaultModel() }) {
+  if (!isProviderConfigured()) {
+    ui.notifications.error(game.i18n.localize("NANOBANANA.ErrorNoApi"));
+    return null;
+  }
+  if (!prompt) {
+    ui.notifications.warn(game.i18n.localize("NANOBANANA.ErrorNoPrompt"));
+    return null;
+  }
+
+  const variants = _getVariants(scene);
+  const originalPath = variants[0].path;
+  const { canvas: original } = await renderSceneBackground(scene, originalPath);
+  const originalBase64 = canvasToBase64(original);
+
+  const base64 = await reviewGeneration({
+    title: `${game.i18n.localize("NANOBANANA.VariantsTitle")}: ${name}`,
+    message: game.i18n.localize("NANOBANANA.Generating"),
+    beforeSrc: `data:image/png;base64,${originalBase64}`,
+    generate: async (signal) => [await _restyle(originalBase64, prompt, model, signal)],
+    refine: async (input, instruction, signal) => [await _restyle(input, instruction, model, signal)],
+  });
+  if (!base64) return null;
+
+  const path = await uploadImage(base64, "nanobanana-variant");
+  variants.push({ name, path, prompt, model, provider: getSetting("provider"), timestamp: Date.now() });
+  return scene.update({
+    "background.src": path,
+    [`flags.${MODULE_ID}.sceneVariants`]: variants,
+    [`flags.${MODULE_ID}.sceneVariant`]: variants.length - 1,
+  });
+}
+
+/**
+ * Show one of a scene's variants. Also available to macros as
+ * `game.modules.get("nanobanana-map-editor").api.setSceneVariant(scene, "Night")`.
+ * @param {Scene|string} scene - The scene or its ID
+ * @param {number|string} variant - Index or name of the variant (0 is the original)
+ * @returns {Promise<Scene>}
+ */
+export async function setSceneVariant(scene, variant) {
+  if (typeof scene === "string") scene = game.scenes.get(scene);
+  const variants = scene ? _getVariants(scene) : [];
+  const index = typeof variant === "number" ? variant : variants.findIndex((v) => v.name === variant);
+  if (!variants[index]) {
+    throw new Error(game.i18n.format("NANOBANANA.VariantNotFound", { variant }));
+  }
+  // Stored with the shown variant's current background, so its edits are kept
+  return scene.update({
+    "background.src": variants[index].path,
+    [`flags.${MODULE_ID}.sceneVariants`]: variants,
+    [`flags.${MODULE_ID}.sceneVariant`]: index,
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Internal Helpers                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * A copy of the scene's variants, starting with the original background. The
+ * shown variant takes the scene's current background, which may have been
+ * edited since it was stored.
+ * @returns {object[]}
+ */
+function _getVariants(scene) {
+  const stored = scene.getFlag(MODULE_ID, "sceneVariants");
+  if (stored?.length) {
+    const variants = stored.map((variant) => ({ ...variant }));
+    const current = variants[scene.getFlag(MODULE_ID, "sceneVariant") ?? 0];
+    if (current && scene.background.src) current.path = scene.background.src;
+    return variants;
+  }
+  return [{
+    name: game.i18n.localize("NANOBANANA.VariantOriginal"),
+    path: scene.background.src ?? null,
+    prompt: null,
+    model: null,
+    provider: null,
+    timestamp: Date.now(),
+  }];
+}
+
+/**
+ * Split an image into overlapping sections no larger than `size`.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+function _sections(width, height, size) {
+  const step = size - SECTION_OVERLAP;
+  const columns = width <= size ? 1 : Math.ceil((width - SECTION_OVERLAP) / step);
+  const rows = height <= size ? 1 : Math.ceil((height - SECTION_OVERLAP) / step);
+  const sections = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const x = Math.min(col * step, Math.max(0, width - size));
+      const y = Math.min(row * step, Math.max(0, height - size));
+      sections.push({ x, y, width: Math.min(size, width), height: Math.min(size, height) });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Section size used for the active provider.
+ */
+function _sectionSize() {
+  return getActiveProvider().inputSize ?? DEFAULT_SECTION_SIZE;
+}
+
+/**
+ * Restyle an image section by section at its full resolution. Each section
+ * is fitted to the model, generated, registered back, and blended into the
+ * sections before it across the overlap.
+ * @param {string} base64 - Base64-encoded source image
+ * @param {string} prompt - How to restyle it
+ * @param {string} model - Model ID
+ * @param {AbortSignal} [signal] - Cancels the remaining requests
+ * @returns {Promise<string>} Base64-encoded PNG of the same size
+ */
+async function _restyle(base64, prompt, model, signal) {
+  const source = await loadBase64Image(base64);
+  const width = source.naturalWidth;
+  const height = source.naturalHeight;
+  const sections = _sections(width, height, _sectionSize());
+  const fullPrompt = [RESTYLE_INSTRUCTION, sections.length > 1 ? SECTION_INSTRUCTION : "", prompt]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const progress = sections.length > 1
+    ? ui.notifications.info(
+      game.i18n.format("NANOBANANA.VariantProgress", { current: 0, total: sections.length }),
+      { progress: true }
+    )
+    : null;
+
+  const { canvas, ctx } = createCanvas(width, height);
+  ctx.drawImage(source, 0, 0);
+  try {
+    for (const [index, section] of sections.entries()) {
+      signal?.throwIfAborted();
+      const crop = createCanvas(section.width, section.height);
+      crop.ctx.drawImage(source, section.x, section.y, section.width, section.height, 0, 0, section.width, section.height);
+
+      const fitted = await fitToModel(canvasToBase64(crop.canvas), section, { model });
+      const [result] = await generateImageVariants([{ base64: fitted.base64 }], {
+        model,
+        prompt: fullPrompt,
+        aspectRatio: fitted.aspectRatio,
+        signal,
+      });
+      const registered = await loadBase64Image(await registerResult(result, fitted.frame, section));
+
+      const piece = createCanvas(section.width, section.height);
+      piece.ctx.drawImage(registered, 0, 0, section.width, section.height);
+      _fadeEdges(piece, section.x > 0, section.y > 0);
+      ctx.drawImage(piece.canvas, section.x, section.y);
+
+      progress?.update?.({
+        pct: (index + 1) / sections.length,
+        message: game.i18n.format("NANOBANANA.VariantProgress", { current: index + 1, total: sections.length }),
+      });
+    }
+    return canvasToBase64(canvas);
+  } finally {
+    progress?.update?.({ pct: 1 });
+  }
+}
+
+/**
+ * Fade a section in across the overlap on its left and/or top edge, so it
+ * blends into the sections drawn before it.
+ */
+function _fadeEdges({ canvas, ctx }, left, top) {
+  ctx.globalCompositeOperation = "destination-in";
+  for (const [enabled, gradient] of [
+    [left, ctx.createLinearGradient(0, 0, SECTION_OVERLAP, 0)],
+    [top, ctx.createLinearGradient(0, 0, 0, SECTION_OVERLAP)],
+  ]) {
+    if (!enabled) continue;
+    gradient.addColorStop(0, "rgba(0, 0, 0, 0)");
+    gradient.addColorStop(1, "rgba(0, 0, 0, 1)");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.globalCompositeOperation = "source-over";
+}
+
+/**
+ * Show the variant list and the form for a new variant.
+ * @returns {Promise<{action: "switch", index: number}|{action: "create", name: string,
+ *   prompt: string, model: string}|null>}
+ */
+async function _showVariantsDialog(scene) {
+  const variants = _getVariants(scene);
+  const current = scene.getFlag(MODULE_ID, "sceneVariant") ?? 0;
+  const currentModel = getDefaultModel();
+  const modelOptions = Object.entries(getModelChoices())
+    .map(([id, label]) => `<option value="${id}" ${id === currentModel ? "selected" : ""}>${label}</option>`)
+    .join("");
+
+  // Sections are counted on the background's own pixel size
+  const { sceneWidth, sceneHeight } = scene.dimensions;
+  const texture = canvas.scene === scene ? canvas.primary?.background?.texture : null;
+  const density = texture?.valid && texture.width ? texture.width / sceneWidth : 1;
+  const sectionCount = _sections(Math.round(sceneWidth * density), Math.round(sceneHeight * density), _sectionSize()).length;
+
+  const variantsHtml = variants
+    .map(
+      (variant, idx) => `
+        <label class="nanobanana-history-version">
+          <input type="radio" name="variant" value="${idx}" ${idx === current ? "checked" : ""}/>
+          <img src="${escapeHtml(variant.path ?? "")}" alt=""/>
+          <span class="title">${escapeHtml(variant.name)}</span>
+          <span class="prompt">${escapeHtml(variant.prompt ?? "")}</span>
+        </label>`
+    )
+    .join("");
+
+  const content = `
+    <form class="nanobanana-dialog nanobanana-history-dialog nanobanana-variants-dialog">
+      <div class="form-group">
+        <div class="nanobanana-history-versions">${variantsHtml}</div>
+      </div>
+      <h4>${game.i18n.localize("NANOBANANA.VariantNew")}</h4>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.VariantNameLabel")}</label>
+        <input type="text" name="name" placeholder="${game.i18n.localize("NANOBANANA.VariantNamePlaceholder")}"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogModelLabel")}</label>
+        <select name="model">${modelOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("NANOBANANA.DialogPromptLabel")}</label>
+        <textarea name="prompt" placeholder="${game.i18n.localize("NANOBANANA.VariantPromptPlaceholder")}"></textarea>
+      </div>
+      <p class="hint">${game.i18n.format("NANOBANANA.VariantHint", { count: sectionCount })}</p>
+    </form>
+  `;
+
+  const readForm = (dialogRef) => {
+    const form =
+      dialogRef?.element?.querySelector?.("form") ??
+      document.querySelector(".nanobanana-variants-dialog");
+    const value = (name) => form?.querySelector(`[name="${name}"]`)?.value?.trim() ?? "";
+    return {
+      index: Number(form?.querySelector('[name="variant"]:checked')?.value ?? current),
+      name: value("name"),
+      prompt: value("prompt"),
+      model: value("model") || currentModel,
+    };
+  };
+
+  return new Promise((resolve) => {
+    const dialog = new foundry.applications.api.DialogV2({
+      window: { title: `${game.i18n.localize("NANOBANANA.VariantsTitle")}: ${scene.name}` },
+      position: { width: 520 },
+      content,
+      buttons: [
+        {
+          action: "switch",
+          label: game.i18n.localize("NANOBANANA.VariantSwitch"),
+          icon: "fas fa-check",
+          default: true,
+          callback: (event, button, dialogRef) => {
+            resolve({ action: "switch", index: readForm(dialogRef).index });
+          },
+        },
+        {
+          action: "create",
+          label: game.i18n.localize("NANOBANANA.VariantGenerate"),
+          icon: "fas fa-magic",
+          callback: (event, button, dialogRef) => {
+            const { name, prompt, model } = readForm(dialogRef);
+            resolve({ action: "create", name: name || prompt.slice(0, 40), prompt, model });
+          },
+        },
+        {
+          action: "close",
+          label: game.i18n.localize("NANOBANANA.SessionClose"),
+          icon: "fas fa-times",
+          callback: () => resolve(null),
+        },
+      ],
+      close: () => resolve(null),
+    });
+    dialog.render(true);
+  });
+}